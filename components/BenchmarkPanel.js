@@ -0,0 +1,314 @@
+/**
+ * BenchmarkPanel.js - Compare detector configurations on the same frames
+ *
+ * Captures a fixed set of frames from the live camera or a clip, runs every
+ * delegate / model / resolution combination over them (see lib/benchmark.js)
+ * and shows latency, agreement with the reference configuration and the
+ * overrun rate at each sampling interval. Live analysis is paused for the
+ * run (via onRunStart/onRunEnd), since the benchmark reloads the detector.
+ */
+
+import { useState, useRef } from 'react';
+import {
+  captureBenchmarkFrames,
+  runBenchmark,
+  benchmarkToRows,
+  DEFAULT_BENCHMARK_MATRIX,
+  DEFAULT_BENCHMARK_FRAMES
+} from '@/lib/benchmark';
+import { DETECTOR_MODELS } from '@/lib/faceAnalyzer';
+import { createVideoReplaySource } from '@/lib/replay';
+import { POLICY_SCHEMA } from '@/lib/policy';
+import { downloadText } from '@/lib/download';
+
+/**
+ * Parse "320x240, 640x480" into [{ width, height }] (invalid entries dropped)
+ */
+function parseResolutions(text) {
+  return text.split(',')
+    .map((part) => part.trim().match(/^(\d+)\s*x\s*(\d+)$/i))
+    .filter(Boolean)
+    .map(([, width, height]) => ({ width: Number(width), height: Number(height) }));
+}
+
+/**
+ * Parse "250, 500, 1000" into positive integers
+ */
+function parseIntervals(text) {
+  return text.split(',').map((part) => Number(part.trim())).filter((value) => Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Toggle a value in a list, keeping the original order
+ */
+function toggle(list, value, options) {
+  return list.includes(value) ? list.filter((item) => item !== value) : options.filter((item) => item === value || list.includes(item));
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.videoRef - Live camera video element ref
+ * @param {boolean} props.isCameraActive - Whether the live camera can be sampled
+ * @param {number} props.minDetectionConfidence - Policy detector confidence, kept fixed across configurations
+ * @param {Function} props.onRunStart - async () => void; pause live analysis before frames are captured
+ * @param {Function} props.onRunEnd - () => void; live analysis may resume
+ */
+export default function BenchmarkPanel({ videoRef, isCameraActive, minDetectionConfidence, onRunStart, onRunEnd }) {
+  const delegateOptions = POLICY_SCHEMA.detector.delegate.values;
+  const modelOptions = Object.keys(DETECTOR_MODELS);
+
+  const [sourceKind, setSourceKind] = useState('live'); // 'live' | 'clip'
+  const [clip, setClip] = useState(null); // File or URL string
+  const [url, setUrl] = useState('');
+  const [frameCount, setFrameCount] = useState(String(DEFAULT_BENCHMARK_FRAMES));
+  const [delegates, setDelegates] = useState(DEFAULT_BENCHMARK_MATRIX.delegates);
+  const [models, setModels] = useState(DEFAULT_BENCHMARK_MATRIX.models);
+  const [resolutions, setResolutions] = useState(
+    DEFAULT_BENCHMARK_MATRIX.resolutions.map(({ width, height }) => `${width}x${height}`).join(', ')
+  );
+  const [intervals, setIntervals] = useState(DEFAULT_BENCHMARK_MATRIX.intervalsMs.join(', '));
+  const [progress, setProgress] = useState(null); // { stage, done, total }
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const abortRef = useRef(null);
+
+  const matrix = {
+    delegates,
+    models,
+    resolutions: parseResolutions(resolutions),
+    intervalsMs: parseIntervals(intervals)
+  };
+  const matrixValid = Object.values(matrix).every((values) => values.length > 0);
+  const sourceReady = sourceKind === 'live' ? isCameraActive : clip !== null;
+
+  const run = async () => {
+    const controller = new AbortController();
+    const clipSource = sourceKind === 'clip' ? createVideoReplaySource(clip) : null;
+
+    abortRef.current = controller;
+    setIsRunning(true);
+    setReport(null);
+    setError(null);
+    setProgress({ stage: 'Capturing frames', done: 0, total: 0 });
+
+    try {
+      await onRunStart();
+      if (clipSource) {
+        await clipSource.load();
+      }
+      const frames = await captureBenchmarkFrames(clipSource ?? { videoElement: videoRef.current }, {
+        count: Number(frameCount) || DEFAULT_BENCHMARK_FRAMES,
+        signal: controller.signal
+      });
+      clipSource?.close();
+
+      const result = await runBenchmark({
+        frames,
+        matrix,
+        minDetectionConfidence,
+        signal: controller.signal,
+        onProgress: ({ done, total }) => setProgress({ stage: 'Configuration', done, total })
+      });
+      setReport({ ...result, source: clipSource ? clipSource.name : 'live camera' });
+    } catch (err) {
+      console.error('[BenchmarkPanel] Benchmark failed:', err);
+      setError(err.name === 'AbortError' ? 'Benchmark cancelled' : err.message || String(err));
+      clipSource?.close();
+    } finally {
+      abortRef.current = null;
+      setIsRunning(false);
+      onRunEnd();
+    }
+  };
+
+  const inputClass = 'bg-gray-900 border border-gray-700 rounded px-2 py-1 disabled:opacity-50';
+  const locked = isRunning;
+  const rows = report ? benchmarkToRows(report) : [];
+
+  return (
+    <div className="p-4 space-y-3 text-sm text-gray-400">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2">
+          <input type="radio" checked={sourceKind === 'live'} disabled={locked} onChange={() => setSourceKind('live')} />
+          Live camera
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="radio" checked={sourceKind === 'clip'} disabled={locked} onChange={() => setSourceKind('clip')} />
+          Clip
+        </label>
+        <label className="flex items-center gap-2">
+          Frames:
+          <input
+            type="number"
+            min={1}
+            value={frameCount}
+            disabled={locked}
+            onChange={(e) => setFrameCount(e.target.value)}
+            className={`w-20 ${inputClass}`}
+          />
+        </label>
+      </div>
+      {sourceKind === 'clip' && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="file"
+            accept="video/*"
+            disabled={locked}
+            onChange={(e) => e.target.files[0] && setClip(e.target.files[0])}
+            className="text-xs"
+          />
+          <input
+            type="text"
+            value={url}
+            placeholder="/clips/second-person.mp4"
+            disabled={locked}
+            onChange={(e) => setUrl(e.target.value)}
+            className={`w-56 ${inputClass}`}
+          />
+          <button
+            onClick={() => setClip(url)}
+            disabled={locked || url.trim() === ''}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+          >
+            Use
+          </button>
+          <span className="text-xs text-gray-500">{clip ? (typeof clip === 'string' ? clip : clip.name) : 'No clip selected'}</span>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4">
+        <span>Delegate:</span>
+        {delegateOptions.map((delegate) => (
+          <label key={delegate} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={delegates.includes(delegate)}
+              disabled={locked}
+              onChange={() => setDelegates(toggle(delegates, delegate, delegateOptions))}
+            />
+            {delegate}
+          </label>
+        ))}
+        <span>Model:</span>
+        {modelOptions.map((model) => (
+          <label key={model} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={models.includes(model)}
+              disabled={locked}
+              onChange={() => setModels(toggle(models, model, modelOptions))}
+            />
+            {model}
+          </label>
+        ))}
+      </div>
+      <label className="flex items-center justify-between gap-2">
+        Capture resolutions:
+        <input
+          type="text"
+          value={resolutions}
+          disabled={locked}
+          onChange={(e) => setResolutions(e.target.value)}
+          className={`w-56 ${inputClass}`}
+        />
+      </label>
+      <label className="flex items-center justify-between gap-2">
+        Sampling intervals (ms):
+        <input
+          type="text"
+          value={intervals}
+          disabled={locked}
+          onChange={(e) => setIntervals(e.target.value)}
+          className={`w-56 ${inputClass}`}
+        />
+      </label>
+
+      <div className="flex items-center gap-2">
+        {isRunning ? (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="px-3 py-1.5 bg-red-600 hover:bg-red-700 rounded transition-colors"
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={run}
+            disabled={!sourceReady || !matrixValid}
+            className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded transition-colors"
+          >
+            Run Benchmark
+          </button>
+        )}
+        <span className="text-xs text-gray-500">
+          {delegates.length * models.length * matrix.resolutions.length} configurations
+          {sourceKind === 'live' && !isCameraActive && ' • start the camera to sample it'}
+        </span>
+      </div>
+      <p className="text-xs text-gray-500">Live analysis pauses while the benchmark runs and resumes afterwards.</p>
+
+      {isRunning && progress && (
+        <p>{progress.stage}{progress.total > 0 && ` ${progress.done}/${progress.total}`}...</p>
+      )}
+      {error && (
+        <div className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300">{error}</div>
+      )}
+
+      {report && (
+        <div className="space-y-2">
+          <p>
+            {report.source}: {report.frames.count} frames at {report.frames.width}x{report.frames.height} •
+            agreement vs {report.reference
+              ? `${report.reference.delegate} / ${report.reference.model} / ${report.reference.width}x${report.reference.height}`
+              : 'nothing (no configuration ran)'}
+            {' '}• overrun = detection over {Math.round(report.budgetFraction * 100)}% of the interval
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full font-mono text-xs">
+              <thead className="text-gray-500">
+                <tr>
+                  <th className="text-left pr-3">Configuration</th>
+                  <th className="text-right pr-3">Interval</th>
+                  <th className="text-right pr-3">p50</th>
+                  <th className="text-right pr-3">p95</th>
+                  <th className="text-right pr-3">Count agree</th>
+                  <th className="text-right pr-3">Box IoU</th>
+                  <th className="text-right pr-3">Overruns</th>
+                  <th className="text-right">Duty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, idx) => row.status === 'ok' ? (
+                  <tr key={idx}>
+                    <td className="pr-3">{row.configuration}</td>
+                    <td className="text-right pr-3">{row.intervalMs}ms</td>
+                    <td className="text-right pr-3">{row.p50}ms</td>
+                    <td className="text-right pr-3">{row.p95}ms</td>
+                    <td className="text-right pr-3">{Math.round(row.countAgreement * 100)}%</td>
+                    <td className="text-right pr-3">{row.meanIoU ?? '-'}</td>
+                    <td className={`text-right pr-3 ${row.overrunRate > 0 ? 'text-yellow-400' : ''}`}>
+                      {Math.round(row.overrunRate * 100)}%
+                    </td>
+                    <td className="text-right">{Math.round(row.dutyCycle * 100)}%</td>
+                  </tr>
+                ) : (
+                  <tr key={idx} className="text-gray-600">
+                    <td className="pr-3">{row.configuration}</td>
+                    <td colSpan={7}>unavailable: {row.error}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={() => downloadText(`benchmark-matrix-${Date.now()}.json`, JSON.stringify(report, null, 2))}
+            className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+          >
+            Download Results (JSON)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+/**
+ * DetectionOverlay.js - Canvas overlay for face detection geometry
+ *
+ * Draws normalized bounding boxes, keypoints and confidence scores on top
+ * of the video panel so testers can see why a flag fired.
+ *
+ * PERFORMANCE CONSIDERATIONS:
+ * - Redraws only when a new analysis arrives (2 FPS), never in a rAF loop
+ * - Fixed 4:3 backing resolution matching the capture constraints
+ */
+
+import { useEffect, useRef } from 'react';
+
+const CANVAS_WIDTH = 320;
+const CANVAS_HEIGHT = 240;
+const KEYPOINT_RADIUS = 2;
+
+/**
+ * @param {Object} props
+ * @param {Array} props.faces - Faces from detectFaces() ({ box, keypoints, score })
+ */
+export default function DetectionOverlay({ faces }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    // Red when more than one face is visible, matching the MULTIPLE_FACES severity
+    const color = faces.length > 1 ? '#ef4444' : '#22c55e';
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    ctx.font = '10px monospace';
+
+    faces.forEach((face) => {
+      if (face.box) {
+        const x = face.box.x * CANVAS_WIDTH;
+        const y = face.box.y * CANVAS_HEIGHT;
+        ctx.strokeRect(x, y, face.box.width * CANVAS_WIDTH, face.box.height * CANVAS_HEIGHT);
+        if (face.score !== null) {
+          ctx.fillText(`${Math.round(face.score * 100)}%`, x + 2, Math.max(y - 3, 10));
+        }
+      }
+
+      face.keypoints.forEach((point) => {
+        ctx.beginPath();
+        ctx.arc(point.x * CANVAS_WIDTH, point.y * CANVAS_HEIGHT, KEYPOINT_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
+  }, [faces]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={CANVAS_WIDTH}
+      height={CANVAS_HEIGHT}
+      className="absolute inset-0 w-full h-full pointer-events-none"
+    />
+  );
+}
@@ -0,0 +1,37 @@
+/**
+ * EvidenceStrip.js - Thumbnails attached to a flag transition
+ *
+ * Shows the frames frameProcessor kept just before and at the sample that
+ * raised a severe flag (see flagManager EVIDENCE_FLAGS), labelled with
+ * their offset from the event.
+ */
+
+import Image from 'next/image';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.evidence - { flags, frames: [{ timestamp, dataUrl }] }
+ * @param {number} props.timestamp - Timestamp of the transition the evidence belongs to
+ */
+export default function EvidenceStrip({ evidence, timestamp }) {
+  return (
+    <div className="mt-1 mb-2 flex flex-wrap gap-2">
+      {evidence.frames.map((frame) => (
+        <figure key={frame.timestamp} className="text-xs text-gray-500">
+          {/* Data URLs need no optimization (and the loader can't fetch them) */}
+          <Image
+            src={frame.dataUrl}
+            alt={`Camera at ${evidence.flags.join(', ')}`}
+            width={96}
+            height={72}
+            unoptimized
+            className="h-auto rounded border border-gray-700"
+          />
+          <figcaption className="text-center">
+            {frame.timestamp === timestamp ? 'at event' : `${((frame.timestamp - timestamp) / 1000).toFixed(1)}s`}
+          </figcaption>
+        </figure>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+/**
+ * PerformancePanel.js - Live processing statistics from frameProcessor
+ *
+ * Renders a getTelemetry() snapshot: recent and whole-run processing time
+ * percentiles, achieved vs target sample rate, skipped ticks, overruns,
+ * main-thread long tasks and JS heap where the browser exposes them.
+ */
+
+/**
+ * Format milliseconds for display, e.g. "12.3ms" ("-" when unknown)
+ */
+function formatMs(ms) {
+  return ms === null || ms === undefined ? '-' : `${ms.toFixed(1)}ms`;
+}
+
+/**
+ * One label/value row
+ */
+function Metric({ label, value, warn = false }) {
+  return (
+    <div className="flex justify-between">
+      <span>{label}:</span>
+      <span className={warn ? 'text-yellow-400' : 'text-gray-200'}>{value}</span>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.telemetry - frameProcessor getTelemetry() snapshot
+ * @param {number} props.maxProcessingMs - Per-sample budget (policy sampler)
+ * @param {Function} props.onDownload - Export a benchmark report
+ */
+export default function PerformancePanel({ telemetry, maxProcessingMs, onDownload }) {
+  const { recent, session, heap, longTasks } = telemetry;
+  const targetFps = 1000 / telemetry.targetIntervalMs;
+
+  return (
+    <div className="p-4 text-sm text-gray-400">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-1">
+        <Metric
+          label={`Processing p50 / p95 (last ${recent.samples})`}
+          value={`${formatMs(recent.p50)} / ${formatMs(recent.p95)}`}
+          warn={recent.p95 !== null && recent.p95 > maxProcessingMs}
+        />
+        <Metric label="Processing max (recent)" value={formatMs(recent.max)} warn={recent.max > maxProcessingMs} />
+        <Metric
+          label="Processing p50 / p95 / p99 (run)"
+          value={`${formatMs(session.p50)} / ${formatMs(session.p95)} / ${formatMs(session.p99)}`}
+        />
+        <Metric label="Processing mean / max (run)" value={`${formatMs(session.mean)} / ${formatMs(session.max)}`} />
+        <Metric
+          label="Achieved rate"
+          value={telemetry.achievedFps === null
+            ? '-'
+            : `${telemetry.achievedFps.toFixed(2)} FPS (target ${targetFps.toFixed(1)})`}
+          warn={telemetry.achievedFps !== null && telemetry.achievedFps < targetFps * 0.9}
+        />
+        <Metric label="Samples" value={telemetry.samples} />
+        <Metric label="Skipped (still processing)" value={telemetry.skipped} warn={telemetry.skipped > 0} />
+        <Metric
+          label="Overruns"
+          value={`${telemetry.overruns} (${(telemetry.overrunRate * 100).toFixed(1)}%)`}
+          warn={telemetry.overruns > 0}
+        />
+        <Metric
+          label="Long tasks"
+          value={longTasks
+            ? `${longTasks.count} (${longTasks.lastMinute} last min, max ${formatMs(longTasks.maxMs)})`
+            : 'Not supported'}
+          warn={longTasks?.lastMinute > 0}
+        />
+        <Metric label="JS heap" value={heap ? `${heap.usedMB} / ${heap.limitMB} MB` : 'Not exposed'} />
+      </div>
+      <button
+        onClick={onDownload}
+        className="mt-3 px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+      >
+        Download Benchmark Report
+      </button>
+    </div>
+  );
+}
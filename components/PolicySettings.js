@@ -0,0 +1,141 @@
+/**
+ * PolicySettings.js - Settings panel for the exam policy
+ *
+ * Edits a preset plus per-field overrides as a local draft; nothing takes
+ * effect until "Apply", which validates through usePolicy().applyPolicy.
+ * Remount (via `key`) to reset the draft after the applied policy changes.
+ */
+
+import { useState } from 'react';
+import { POLICY_PRESETS, POLICY_SCHEMA } from '@/lib/policy';
+
+/**
+ * Flatten overrides to { 'section.key': string } for text inputs
+ */
+function toDraft(overrides) {
+  const draft = {};
+  for (const [section, values] of Object.entries(overrides)) {
+    for (const [key, value] of Object.entries(values || {})) {
+      draft[`${section}.${key}`] = String(value);
+    }
+  }
+  return draft;
+}
+
+/**
+ * Parse draft inputs back to overrides, skipping empty fields
+ */
+function fromDraft(draft) {
+  const overrides = {};
+  for (const [path, raw] of Object.entries(draft)) {
+    if (raw === '') continue;
+    const [section, key] = path.split('.');
+    const rule = POLICY_SCHEMA[section][key];
+    overrides[section] = overrides[section] || {};
+    overrides[section][key] = rule.type === 'enum' ? raw : Number(raw);
+  }
+  return overrides;
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.presetName - Applied preset
+ * @param {Object} props.overrides - Applied overrides
+ * @param {string} props.source - Where the applied policy came from
+ * @param {string[]} props.errors - Validation errors from the last apply/load
+ * @param {boolean} props.disabled - Lock editing (e.g. while analyzing)
+ * @param {Function} props.onApply - (presetName, overrides) => void
+ */
+export default function PolicySettings({ presetName, overrides, source, errors, disabled, onApply }) {
+  const [draftPreset, setDraftPreset] = useState(presetName);
+  const [draft, setDraft] = useState(() => toDraft(overrides));
+
+  const preset = POLICY_PRESETS[draftPreset] || POLICY_PRESETS.standard;
+
+  return (
+    <div className="p-4 space-y-4 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <label className="flex items-center gap-2 text-gray-400">
+          Preset:
+          <select
+            value={draftPreset}
+            onChange={(e) => setDraftPreset(e.target.value)}
+            disabled={disabled}
+            className="bg-gray-900 border border-gray-700 rounded px-2 py-1 disabled:opacity-50"
+          >
+            {Object.keys(POLICY_PRESETS).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <span className="text-xs text-gray-500">Loaded from: {source}</span>
+      </div>
+
+      {Object.entries(POLICY_SCHEMA).map(([section, fields]) => (
+        <fieldset key={section} className="space-y-1">
+          <legend className="text-xs uppercase tracking-wide text-gray-500 mb-1">{section}</legend>
+          {Object.entries(fields).map(([key, rule]) => {
+            const path = `${section}.${key}`;
+            const placeholder = String(preset[section][key]);
+            return (
+              <label key={path} className="flex items-center justify-between gap-2 text-gray-400">
+                <span>{rule.label}</span>
+                {rule.type === 'enum' ? (
+                  <select
+                    value={draft[path] ?? ''}
+                    onChange={(e) => setDraft({ ...draft, [path]: e.target.value })}
+                    disabled={disabled}
+                    className="w-28 bg-gray-900 border border-gray-700 rounded px-2 py-1 disabled:opacity-50"
+                  >
+                    <option value="">{placeholder}</option>
+                    {rule.values.map((value) => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="number"
+                    step={rule.type === 'integer' ? 1 : 'any'}
+                    min={rule.min}
+                    max={rule.max}
+                    value={draft[path] ?? ''}
+                    placeholder={placeholder}
+                    onChange={(e) => setDraft({ ...draft, [path]: e.target.value })}
+                    disabled={disabled}
+                    className="w-28 bg-gray-900 border border-gray-700 rounded px-2 py-1 disabled:opacity-50"
+                  />
+                )}
+              </label>
+            );
+          })}
+        </fieldset>
+      ))}
+
+      {errors.length > 0 && (
+        <ul className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300 text-xs space-y-1">
+          {errors.map((error) => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => onApply(draftPreset, fromDraft(draft))}
+          disabled={disabled}
+          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded transition-colors"
+        >
+          Apply
+        </button>
+        <button
+          onClick={() => setDraft({})}
+          disabled={disabled}
+          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+        >
+          Clear Overrides
+        </button>
+      </div>
+      {disabled && (
+        <p className="text-xs text-gray-500">Stop the camera to change the policy.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+/**
+ * ProctoringMonitor.js - Drop-in proctoring for any page
+ *
+ * Runs useProctoring and renders the camera panel: the video with the
+ * detection overlay, camera off / loading / lost placeholders and the
+ * "Analyzing" badge. With `headless`, the video is kept off-screen (it still
+ * has to play for frames to be sampled) and nothing else is rendered, so an
+ * exam page can rely on the callbacks alone:
+ *
+ *   <ProctoringMonitor policy={policy} active={examStarted} headless
+ *     onFlagRaised={warn} onSessionEnd={submit} />
+ *
+ * Setting `active` back to false ends the session (onSessionEnd); unmounting
+ * releases the camera and detector without reporting.
+ *
+ * Pages that show their own status panels call useProctoring themselves and
+ * render ProctoringVideo with its result (see pages/index.js).
+ */
+
+import { useEffect, useRef } from 'react';
+import { useProctoring } from '@/hooks/useProctoring';
+import DetectionOverlay from '@/components/DetectionOverlay';
+
+/**
+ * Camera panel for a useProctoring result
+ * @param {Object} props
+ * @param {Object} props.proctoring - useProctoring() result
+ * @param {boolean} [props.showOverlay=true] - Draw detection geometry over the video
+ * @param {boolean} [props.headless=false] - Keep the video off-screen and render nothing else
+ */
+export function ProctoringVideo({ proctoring, showOverlay = true, headless = false }) {
+  const { videoRef, isCameraActive, isCameraLoading, cameraLost, isAnalyzing, faces } = proctoring;
+
+  if (headless) {
+    return (
+      <video
+        ref={videoRef}
+        className="fixed top-0 left-0 w-px h-px opacity-0 pointer-events-none"
+        aria-hidden="true"
+        autoPlay
+        playsInline
+        muted
+      />
+    );
+  }
+
+  return (
+    <div className="relative bg-black rounded-lg overflow-hidden aspect-[4/3] max-w-[320px] mx-auto border-2 border-gray-700">
+      {/* Video Element */}
+      <video
+        ref={videoRef}
+        className="w-full h-full object-cover"
+        autoPlay
+        playsInline
+        muted
+      />
+
+      {/* Detection geometry overlay */}
+      {isAnalyzing && showOverlay && <DetectionOverlay faces={faces} />}
+
+      {/* Placeholder when camera is off */}
+      {!isCameraActive && (
+        <div className="absolute inset-0 flex items-center justify-center bg-gray-800">
+          <div className="text-center">
+            <svg
+              className="w-12 h-12 mx-auto mb-2 text-gray-600"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"
+              />
+            </svg>
+            <p className="text-gray-500 text-sm">Camera Off</p>
+          </div>
+        </div>
+      )}
+
+      {/* Loading overlay */}
+      {isCameraLoading && (
+        <div className="absolute inset-0 flex items-center justify-center bg-gray-800/80">
+          <div className="text-center">
+            <div className="animate-spin w-8 h-8 border-2 border-blue-500 border-t-transparent rounded-full mx-auto mb-2" />
+            <p className="text-sm">Requesting camera...</p>
+          </div>
+        </div>
+      )}
+
+      {/* Camera lost overlay (sampling paused until it comes back) */}
+      {cameraLost && (
+        <div className="absolute inset-0 flex items-center justify-center bg-gray-900/80">
+          <p className="text-sm text-red-300 text-center px-4">
+            {cameraLost.reason === 'ended'
+              ? 'Camera disconnected. Reconnect it to resume.'
+              : 'Camera paused by the system.'}
+          </p>
+        </div>
+      )}
+
+      {/* Analysis indicator */}
+      {isAnalyzing && !cameraLost && (
+        <div className="absolute top-2 right-2 flex items-center gap-1.5 bg-green-600/80 px-2 py-1 rounded text-xs">
+          <span className="w-2 h-2 bg-white rounded-full animate-pulse" />
+          Analyzing
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Self-contained proctoring: camera, analysis and flags driven by `active`
+ * @param {Object} props - useProctoring options (policy, backendId, identity, worker, audio,
+ *   evidence, onFlagRaised, onFlagCleared, onDisabled, onSessionEnd), plus:
+ * @param {boolean} props.active - true starts the camera (call from a user action), false ends the session
+ * @param {boolean} [props.showOverlay=true] - Draw detection geometry over the video
+ * @param {boolean} [props.headless=false] - Keep the video off-screen and render nothing else
+ */
+export default function ProctoringMonitor({ active, showOverlay = true, headless = false, ...options }) {
+  const proctoring = useProctoring(options);
+  const { start, stop } = proctoring;
+  // Last `active` value acted on, so re-created controls don't restart the camera
+  const appliedRef = useRef(false);
+
+  useEffect(() => {
+    if (Boolean(active) === appliedRef.current) return;
+    appliedRef.current = Boolean(active);
+    if (active) {
+      start();
+    } else {
+      stop();
+    }
+  }, [active, start, stop]);
+
+  return <ProctoringVideo proctoring={proctoring} showOverlay={showOverlay} headless={headless} />;
+}
@@ -0,0 +1,241 @@
+/**
+ * ReplayPanel.js - Run the pipeline over a recorded clip or frame folder
+ *
+ * Samples at the policy's interval on a simulated clock (see lib/replay.js),
+ * so the same clip always yields the same flag timeline. Timeline and trace
+ * exports are meant to be kept as regression fixtures.
+ */
+
+import { useState, useRef } from 'react';
+import { createVideoReplaySource, createFrameSequenceSource, runReplay, traceToJSONL } from '@/lib/replay';
+import { getWorstSeverity } from '@/lib/flagManager';
+import { DEFAULT_EVIDENCE } from '@/lib/frameProcessor';
+import EvidenceStrip from '@/components/EvidenceStrip';
+import { downloadText } from '@/lib/download';
+
+/**
+ * Format a recording offset, e.g. "12.5s"
+ */
+function formatOffset(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * File-name-safe version of a source name
+ */
+function toSlug(name) {
+  return name.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'replay';
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.policy - Applied exam policy (sampler.intervalMs is the simulated rate)
+ * @param {Function} props.createBackends - () => { detector, identity } for a fresh run
+ * @param {boolean} props.disabled - Lock while the live camera is running
+ */
+export default function ReplayPanel({ policy, createBackends, disabled }) {
+  const [selection, setSelection] = useState(null); // { kind: 'video' | 'frames', input, label }
+  const [url, setUrl] = useState('');
+  const [frameDurationMs, setFrameDurationMs] = useState(String(policy.sampler.intervalMs));
+  const [progress, setProgress] = useState(null); // { done, total, flags }
+  const [result, setResult] = useState(null); // { name, log, trace, transitions }
+  const [openEvidence, setOpenEvidence] = useState(null); // Timestamp of the transition whose evidence is shown
+  const [error, setError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const abortRef = useRef(null);
+
+  const run = async () => {
+    const source = selection.kind === 'video'
+      ? createVideoReplaySource(selection.input)
+      : createFrameSequenceSource(selection.input, { frameDurationMs: Number(frameDurationMs) || policy.sampler.intervalMs });
+    const { detector, identity } = createBackends();
+    const controller = new AbortController();
+
+    abortRef.current = controller;
+    setIsRunning(true);
+    setResult(null);
+    setError(null);
+    setProgress({ done: 0, total: 0, flags: [] });
+
+    try {
+      const { log, trace } = await runReplay({
+        source,
+        detector,
+        identity,
+        policy,
+        evidence: DEFAULT_EVIDENCE,
+        signal: controller.signal,
+        onProgress: ({ done, total, state }) => setProgress({ done, total, flags: state.currentFlags })
+      });
+      setResult({ name: source.name, log, trace, transitions: log.toJSON().transitions });
+    } catch (err) {
+      console.error('[ReplayPanel] Replay failed:', err);
+      setError(err.name === 'AbortError' ? 'Replay cancelled' : err.message || String(err));
+    } finally {
+      abortRef.current = null;
+      setIsRunning(false);
+    }
+  };
+
+  const download = (kind) => {
+    const slug = toSlug(result.name);
+    if (kind === 'timeline') {
+      downloadText(`replay-${slug}.json`, JSON.stringify(result.log.toJSON(), null, 2));
+    } else if (kind === 'csv') {
+      downloadText(`replay-${slug}.csv`, result.log.toCSV(), 'text/csv');
+    } else {
+      downloadText(`replay-${slug}.trace.jsonl`, traceToJSONL(result.trace), 'application/x-ndjson');
+    }
+  };
+
+  const inputClass = 'bg-gray-900 border border-gray-700 rounded px-2 py-1 disabled:opacity-50';
+  const locked = disabled || isRunning;
+
+  return (
+    <div className="p-4 space-y-3 text-sm text-gray-400">
+      <label className="flex items-center justify-between gap-2">
+        Video file:
+        <input
+          type="file"
+          accept="video/*"
+          disabled={locked}
+          onChange={(e) => e.target.files[0] && setSelection({ kind: 'video', input: e.target.files[0], label: e.target.files[0].name })}
+          className="text-xs"
+        />
+      </label>
+      <label className="flex items-center justify-between gap-2">
+        Frame folder:
+        <input
+          type="file"
+          webkitdirectory=""
+          multiple
+          disabled={locked}
+          onChange={(e) => e.target.files.length > 0 && setSelection({ kind: 'frames', input: [...e.target.files], label: `${e.target.files.length} files` })}
+          className="text-xs"
+        />
+      </label>
+      <div className="flex items-center justify-between gap-2">
+        <span>Video URL:</span>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={url}
+            placeholder="/clips/second-person.mp4"
+            disabled={locked}
+            onChange={(e) => setUrl(e.target.value)}
+            className={`w-56 ${inputClass}`}
+          />
+          <button
+            onClick={() => setSelection({ kind: 'video', input: url, label: url })}
+            disabled={locked || url.trim() === ''}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+          >
+            Use
+          </button>
+        </div>
+      </div>
+      {selection?.kind === 'frames' && (
+        <label className="flex items-center justify-between gap-2">
+          Time per frame (ms):
+          <input
+            type="number"
+            min={1}
+            value={frameDurationMs}
+            disabled={locked}
+            onChange={(e) => setFrameDurationMs(e.target.value)}
+            className={`w-28 ${inputClass}`}
+          />
+        </label>
+      )}
+
+      <div className="flex items-center gap-2">
+        {isRunning ? (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="px-3 py-1.5 bg-red-600 hover:bg-red-700 rounded transition-colors"
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={run}
+            disabled={disabled || !selection}
+            className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded transition-colors"
+          >
+            Run Replay
+          </button>
+        )}
+        <span className="text-xs text-gray-500">
+          {selection ? selection.label : 'No source selected'} • sampled every {policy.sampler.intervalMs}ms of recording time
+        </span>
+      </div>
+      {disabled && (
+        <p className="text-xs text-gray-500">Stop the camera to run a replay.</p>
+      )}
+
+      {isRunning && (
+        <p>
+          Sample {progress.done}/{progress.total || '?'} • {progress.flags.join(', ') || 'no flags yet'}
+        </p>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300">{error}</div>
+      )}
+
+      {result && (
+        <div className="space-y-2">
+          <p>
+            {result.name}: {result.trace.length} samples • {result.transitions.length} flag changes
+          </p>
+          <ul className="max-h-40 overflow-y-auto font-mono text-xs space-y-0.5">
+            {result.transitions.map((entry, idx) => (
+              <li key={idx}>
+                <span className="text-gray-600">{formatOffset(entry.timestamp)}</span>
+                {' '}
+                <span className={
+                  getWorstSeverity(entry.flags) === 'ok' ? 'text-green-400' :
+                    getWorstSeverity(entry.flags) === 'error' ? 'text-red-400' :
+                      'text-yellow-400'
+                }>
+                  {entry.flags.join(', ')}
+                </span>
+                {entry.evidence && (
+                  <button
+                    onClick={() => setOpenEvidence(openEvidence === entry.timestamp ? null : entry.timestamp)}
+                    className="ml-2 text-blue-400 hover:underline"
+                  >
+                    {openEvidence === entry.timestamp ? 'hide frames' : 'frames'}
+                  </button>
+                )}
+                {entry.evidence && openEvidence === entry.timestamp && (
+                  <EvidenceStrip evidence={entry.evidence} timestamp={entry.timestamp} />
+                )}
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => download('timeline')}
+              className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+            >
+              Download Timeline (JSON)
+            </button>
+            <button
+              onClick={() => download('csv')}
+              className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+            >
+              Download CSV
+            </button>
+            <button
+              onClick={() => download('trace')}
+              className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+            >
+              Download Trace (JSONL)
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+/**
+ * SessionSummary.js - End-of-session flag durations and integrity score
+ *
+ * Renders a flagManager summarizeSession() result: the weighted integrity
+ * score, and for each flag its episodes, time in state (and share of the
+ * session), longest episode, first/last occurrence and score penalty.
+ * Weights come from the policy `integrity` section.
+ */
+
+import { getFlagMessage } from '@/lib/flagManager';
+
+/**
+ * Format a duration for display, e.g. "1m 05s" or "9.0s"
+ */
+function formatDuration(ms) {
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Format a timestamp as a wall-clock time ("-" when unknown)
+ */
+function formatTime(timestamp) {
+  return timestamp === null ? '-' : new Date(timestamp).toLocaleTimeString();
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.summary - flagManager summarizeSession() result
+ */
+export default function SessionSummary({ summary }) {
+  const { score, durationMs, flags } = summary;
+  const scoreClass = score >= 80 ? 'text-green-400' : score >= 50 ? 'text-yellow-400' : 'text-red-400';
+
+  return (
+    <div className="p-4 space-y-3 text-sm text-gray-400">
+      <div className="flex items-end justify-between gap-4">
+        <div>
+          <div className={`text-4xl font-bold ${scoreClass}`}>{score}</div>
+          <div className="text-xs mt-1">Integrity score (of 100)</div>
+        </div>
+        <div className="text-right">
+          <div className="text-gray-200">{formatDuration(durationMs)}</div>
+          <div className="text-xs mt-1">
+            {formatTime(summary.startedAt)} - {formatTime(summary.endedAt)}
+          </div>
+        </div>
+      </div>
+
+      {flags.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full font-mono text-xs">
+            <thead className="text-gray-500">
+              <tr>
+                <th className="text-left pr-3">Flag</th>
+                <th className="text-right pr-3">Episodes</th>
+                <th className="text-right pr-3">Time</th>
+                <th className="text-right pr-3">Longest</th>
+                <th className="text-right pr-3">First / last</th>
+                <th className="text-right">Penalty</th>
+              </tr>
+            </thead>
+            <tbody>
+              {flags.map((entry) => (
+                <tr key={entry.flag} title={getFlagMessage(entry.flag)}>
+                  <td className={`pr-3 ${entry.severity === 'ok'
+                    ? 'text-green-400'
+                    : entry.severity === 'error' ? 'text-red-400' : 'text-yellow-400'}`}
+                  >
+                    {entry.flag}{entry.active && ' *'}
+                  </td>
+                  <td className="text-right pr-3">{entry.episodes}</td>
+                  <td className="text-right pr-3">
+                    {formatDuration(entry.totalMs)} ({Math.round(entry.share * 100)}%)
+                  </td>
+                  <td className="text-right pr-3">{formatDuration(entry.longestMs)}</td>
+                  <td className="text-right pr-3">
+                    {formatTime(entry.firstRaisedAt)} / {formatTime(entry.lastRaisedAt)}
+                  </td>
+                  <td className="text-right">{entry.penalty > 0 ? `-${entry.penalty.toFixed(1)}` : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>No flags were raised.</p>
+      )}
+      <p className="text-xs text-gray-500">
+        * still raised when the session stopped. Penalty = weight x (percent of session + {summary.weights.episodePoints} per
+        episode); weights come from the policy integrity section.
+      </p>
+    </div>
+  );
+}
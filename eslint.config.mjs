@@ -10,6 +10,8 @@ const eslintConfig = defineConfig([
     "out/**",
     "build/**",
     "next-env.d.ts",
+    // Generated by scripts/sync-mediapipe-assets.mjs
+    "public/mediapipe/**",
   ]),
 ]);
 
@@ -0,0 +1,136 @@
+/**
+ * usePolicy.js - Custom hook for the active exam policy
+ *
+ * SOURCES (highest priority first):
+ * - URL query: ?policy=strict selects a preset for this page load only
+ *   (until a policy is applied from the settings panel)
+ * - localStorage: last policy applied from the settings panel
+ * - Default: the "standard" preset
+ *
+ * Read through useSyncExternalStore: the server snapshot is the default, so
+ * server and client render the same default first and the client re-renders
+ * with the browser-only sources right after hydration. Other tabs applying a
+ * policy update this one through the `storage` event.
+ */
+
+import { useState, useCallback, useSyncExternalStore } from 'react';
+import { DEFAULT_POLICY_NAME, POLICY_PRESETS, resolvePolicy } from '@/lib/policy';
+
+const STORAGE_KEY = 'proctoring.policy';
+
+const DEFAULT_SELECTION = {
+  presetName: DEFAULT_POLICY_NAME,
+  overrides: {},
+  policy: POLICY_PRESETS[DEFAULT_POLICY_NAME],
+  source: 'default',
+  errors: []
+};
+
+// Components to notify when this tab applies a policy
+const listeners = new Set();
+
+// Whether the URL preset still applies (cleared once a policy is applied here)
+let urlPresetActive = true;
+
+// Last snapshot and the raw sources it was built from (snapshots must be stable)
+let snapshotKey = null;
+let snapshot = DEFAULT_SELECTION;
+
+/**
+ * Read the persisted { presetName, overrides } selection
+ * @param {string|null} raw - localStorage value
+ * @returns {Object|null}
+ */
+function parseStoredSelection(raw) {
+  try {
+    const stored = JSON.parse(raw);
+    return stored && typeof stored.presetName === 'string' ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the current selection from the URL and localStorage
+ * @returns {Object} { presetName, overrides, policy, source, errors }
+ */
+function getSnapshot() {
+  const urlPreset = urlPresetActive ? new URLSearchParams(window.location.search).get('policy') : null;
+  const raw = localStorage.getItem(STORAGE_KEY);
+  const key = `${urlPreset}\n${raw}`;
+  if (key === snapshotKey) {
+    return snapshot;
+  }
+
+  const stored = parseStoredSelection(raw);
+  let next = null;
+  if (urlPreset) {
+    next = { presetName: urlPreset, overrides: {}, source: 'url' };
+  } else if (stored) {
+    next = { presetName: stored.presetName, overrides: stored.overrides || {}, source: 'storage' };
+  }
+
+  snapshotKey = key;
+  if (next) {
+    const { policy, errors } = resolvePolicy(next.presetName, next.overrides);
+    snapshot = { ...next, policy, errors };
+  } else {
+    snapshot = DEFAULT_SELECTION;
+  }
+  return snapshot;
+}
+
+function getServerSnapshot() {
+  return DEFAULT_SELECTION;
+}
+
+/**
+ * Subscribe to policy changes (this tab's applyPolicy and other tabs' storage writes)
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  window.addEventListener('storage', listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', listener);
+  };
+}
+
+/**
+ * Custom hook for loading, validating and persisting the exam policy
+ * @returns {Object} Policy state and controls
+ */
+export function usePolicy() {
+  const selection = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+  // Errors of the last rejected apply (null: show the loaded selection's errors)
+  const [applyErrors, setApplyErrors] = useState(null);
+
+  /**
+   * Validate and apply a policy; persisted only when valid
+   * @param {string} presetName - Key of POLICY_PRESETS
+   * @param {Object} [overrides] - Partial { detector, sampler, flags }
+   * @returns {string[]} Validation errors (empty when applied)
+   */
+  const applyPolicy = useCallback((presetName, overrides = {}) => {
+    const { errors } = resolvePolicy(presetName, overrides);
+
+    if (errors.length > 0) {
+      setApplyErrors(errors);
+      return errors;
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ presetName, overrides }));
+    urlPresetActive = false;
+    setApplyErrors(null);
+    listeners.forEach((listener) => listener());
+    return [];
+  }, []);
+
+  return {
+    ...selection,
+    errors: applyErrors ?? selection.errors,
+    applyPolicy
+  };
+}
@@ -0,0 +1,542 @@
+/**
+ * useProctoring.js - Custom hook that runs a proctoring session
+ *
+ * Owns everything between the camera and the flags: the webcam (useWebcam),
+ * the frame processor, environment and microphone monitors, flag state
+ * (flagManager), evidence capture and the session log. Pages render its
+ * state and call its controls; see ProctoringMonitor for a ready-made view.
+ *
+ * LIFECYCLE:
+ * - The camera starts only on explicit user action (start / startCamera)
+ * - With `autoStart`, analysis starts shortly after the camera is active;
+ *   pass autoStart: false to hold it (e.g. while a benchmark runs)
+ * - Detector, identity, worker and audio options apply on the next start
+ * - stop / stopAnalysis end the session (onSessionEnd): flag state is kept
+ *   and summarized (per-flag durations, weighted integrity score from the
+ *   policy `integrity` section) until the next start or startNewSession;
+ *   the session log survives until startNewSession, the last telemetry
+ *   until the next run
+ *
+ * EVENTS AND CALLBACKS:
+ * - Each hook instance owns an event bus (lib/eventBus.js) shared with its
+ *   processors: sample, processor:*, detector:ready, plus flag:raised /
+ *   flag:cleared for every flag state change (samples and environment
+ *   alike), emitted as each update is applied (createFlagTracker), not
+ *   after React re-renders. Subscribe with `events.on(...)` from an effect
+ * - The on* options are listeners on that bus, kept in refs so inline
+ *   functions don't restart anything; onFlagRaised / onFlagCleared skip FACE_OK
+ * - Flags still raised when a session stops end with it; no flag:cleared
+ *   (the summary marks them as still active)
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { useWebcam } from '@/hooks/useWebcam';
+import { createFrameProcessor, DEFAULT_EVIDENCE } from '@/lib/frameProcessor';
+import { DETECTOR_BACKENDS, IDENTITY_BACKENDS } from '@/lib/detectors/registry';
+import { createWorkerAnalyzer, isWorkerModeSupported } from '@/lib/workerAnalyzer';
+import { createEnvironmentMonitor } from '@/lib/environmentMonitor';
+import { createVoiceActivityMonitor } from '@/lib/voiceActivity';
+import { createSessionLog } from '@/lib/sessionLog';
+import { createEventBus } from '@/lib/eventBus';
+import {
+  processAnalysis,
+  recordDegradation,
+  updateEnvironment,
+  recordClipboard,
+  attachEvidence,
+  getEvidenceTriggers,
+  createFlagTracker,
+  summarizeSession
+} from '@/lib/flagManager';
+
+export const IDENTITY_BACKEND_ID = 'image-embedder';
+
+// Delay before auto-started analysis, so the video has its first frames
+const AUTO_START_DELAY_MS = 500;
+
+/**
+ * Custom hook for running proctoring on the webcam
+ * @param {Object} options
+ * @param {Object} options.policy - Resolved exam policy (see lib/policy.js)
+ * @param {string} [options.backendId='face-detector'] - DETECTOR_BACKENDS key
+ * @param {boolean} [options.identity=true] - Enroll the first face and check it stays the same
+ * @param {boolean} [options.worker=false] - Run detection in a Web Worker when supported
+ * @param {boolean} [options.audio=false] - Listen for speech (analyzed live, never recorded)
+ * @param {Object|null} [options.evidence=DEFAULT_EVIDENCE] - Evidence thumbnail settings, null to turn off
+ * @param {boolean} [options.autoStart=true] - Start analysis once the camera is active
+ * @param {Function} [options.onFlagRaised] - (flag, payload) when a problem flag appears (flag:raised payload)
+ * @param {Function} [options.onFlagCleared] - (flag, payload) when it goes away (flag:cleared payload, with durationMs)
+ * @param {Function} [options.onDisabled] - (reason) when the processor auto-disables
+ * @param {Function} [options.onSessionEnd] - ({ sessionLog, flagState, summary, telemetry }) when analysis stops
+ * @returns {Object} Proctoring state and controls
+ */
+export function useProctoring({
+  policy,
+  backendId = 'face-detector',
+  identity = true,
+  worker = false,
+  audio = false,
+  evidence = DEFAULT_EVIDENCE,
+  autoStart = true,
+  onFlagRaised,
+  onFlagCleared,
+  onDisabled,
+  onSessionEnd
+}) {
+  // Lifecycle events for any number of listeners (stable for the hook's lifetime)
+  const [events] = useState(createEventBus);
+  // Current flag state, updated (and its flag events emitted) as updates arrive;
+  // flagState below is its latest rendered copy
+  const [flagTracker] = useState(() => createFlagTracker({ events }));
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [flagState, setFlagState] = useState(flagTracker.getState);
+  const [lastProcessingTime, setLastProcessingTime] = useState(null);
+  const [telemetry, setTelemetry] = useState(null); // Latest getTelemetry() snapshot (kept after stop for export)
+  const [faces, setFaces] = useState([]);
+  const [logStats, setLogStats] = useState(null);
+  const [audioLevel, setAudioLevel] = useState(null); // Microphone level in dBFS while monitoring
+  const [audioError, setAudioError] = useState(null);
+  const [analysisMode, setAnalysisMode] = useState(null); // 'main' | 'worker' once running
+  const [degradation, setDegradation] = useState(null); // Latest onDegradationChange payload
+  const [identityStatus, setIdentityStatus] = useState('off'); // 'off' | 'pending' | 'enrolled'
+  const [isDisabled, setIsDisabled] = useState(false);
+  const [disableReason, setDisableReason] = useState(null);
+  const [initError, setInitError] = useState(null);
+  const [summary, setSummary] = useState(null); // summarizeSession() of the last stopped session
+
+  const processorRef = useRef(null);
+  const monitorRef = useRef(null);
+  const audioMonitorRef = useRef(null);
+  // Whether the processor was paused because the camera was lost
+  const pausedForCameraRef = useRef(false);
+  // Session log (survives stop/start until startNewSession)
+  const sessionLogRef = useRef(null);
+  const callbacksRef = useRef({ onFlagRaised, onFlagCleared, onDisabled, onSessionEnd });
+
+  useEffect(() => {
+    callbacksRef.current = { onFlagRaised, onFlagCleared, onDisabled, onSessionEnd };
+  }, [onFlagRaised, onFlagCleared, onDisabled, onSessionEnd]);
+
+  /**
+   * Record new flag transitions in the session log (degradation and clipboard
+   * entries are already logged as events), and fetch evidence frames for
+   * transitions that raised a severe flag
+   * @param {Array<Object>} previousHistory - History before an update
+   * @param {Array<Object>} history - History after it
+   */
+  const recordTransitions = useCallback((previousHistory, history) => {
+    const log = sessionLogRef.current;
+    if (!log || history === previousHistory) return;
+    const known = new Set(previousHistory);
+
+    history.forEach((entry, index) => {
+      // Entries with evidence attached replace ones recorded before the evidence arrived
+      if (known.has(entry) || entry.event || entry.evidence) return;
+      log.recordTransition(entry);
+
+      const previousFlags = index > 0 ? history[index - 1].flags : [];
+      const flags = entry.details.source === 'environment' ? [] : getEvidenceTriggers(previousFlags, entry.flags);
+      if (flags.length === 0 || !processorRef.current) return;
+      processorRef.current.captureEvidence(entry.timestamp).then((frames) => {
+        if (frames.length === 0) return;
+        const captured = { flags, frames };
+        // The session log enforces the evidence size cap; the panel shows whatever it kept
+        if (log.attachEvidence(entry.timestamp, captured)) {
+          setFlagState(flagTracker.apply(prev => attachEvidence(prev, entry.timestamp, captured)));
+        }
+        setLogStats(log.getStats());
+      }).catch((err) => {
+        console.warn('[useProctoring] Evidence capture failed:', err);
+      });
+    });
+  }, [flagTracker]);
+
+  /**
+   * Apply a flagManager update to the flag state: emits its flag events and
+   * logs its transitions as it is applied, whatever React batches into a render
+   * @param {Function} update - (state) => new state
+   */
+  const applyFlags = useCallback((update) => {
+    const previous = flagTracker.getState();
+    const state = flagTracker.apply(update);
+    setFlagState(state);
+    recordTransitions(previous.history, state.history);
+  }, [flagTracker, recordTransitions]);
+
+  /**
+   * Get the current session log, creating one on first use
+   */
+  const getSessionLog = useCallback(() => {
+    if (!sessionLogRef.current) {
+      sessionLogRef.current = createSessionLog({ userAgent: navigator.userAgent });
+    }
+    return sessionLogRef.current;
+  }, []);
+
+  /**
+   * Handle analysis results from frame processor
+   */
+  const handleAnalysis = useCallback((analysis) => {
+    applyFlags(prev => processAnalysis(prev, analysis, policy.flags));
+    setLastProcessingTime(analysis.processingTime);
+    setTelemetry(processorRef.current?.getTelemetry() ?? null);
+    setFaces(analysis.faces || []);
+    // Worker mode may have fallen back to the main thread during init
+    setAnalysisMode(processorRef.current?.getStatus().mode ?? null);
+
+    const log = getSessionLog();
+    log.recordSample(analysis);
+    setLogStats(log.getStats());
+  }, [applyFlags, getSessionLog, policy.flags]);
+
+  /**
+   * Handle auto-disable from frame processor
+   */
+  const handleDisabled = useCallback((reason) => {
+    setIsDisabled(true);
+    setDisableReason(reason);
+    setIsAnalyzing(false);
+    getSessionLog().recordEvent('disabled', { reason });
+  }, [getSessionLog]);
+
+  /**
+   * Handle errors from frame processor
+   */
+  const handleError = useCallback((error) => {
+    console.error('[useProctoring] Processor error:', error);
+    setInitError(error.message);
+    getSessionLog().recordEvent('error', { message: error.message });
+  }, [getSessionLog]);
+
+  /**
+   * Handle reference face enrollment from frame processor
+   */
+  const handleEnrolled = useCallback(() => {
+    setIdentityStatus('enrolled');
+    getSessionLog().recordEvent('enrolled');
+  }, [getSessionLog]);
+
+  /**
+   * Handle degradation level changes from frame processor
+   */
+  const handleDegradationChange = useCallback((transition) => {
+    setDegradation(transition);
+    applyFlags(prev => recordDegradation(prev, transition));
+    getSessionLog().recordEvent(
+      transition.level > transition.previousLevel ? 'degraded' : 'recovered',
+      transition,
+      transition.timestamp
+    );
+  }, [applyFlags, getSessionLog]);
+
+  /**
+   * Handle tab/focus/fullscreen changes from the environment monitor,
+   * and speech/noise changes from the microphone monitor
+   */
+  const handleEnvironmentChange = useCallback((status) => {
+    applyFlags(prev => updateEnvironment(prev, status));
+  }, [applyFlags]);
+
+  /**
+   * Handle copy/cut/paste during the exam
+   */
+  const handleClipboard = useCallback((action) => {
+    applyFlags(prev => recordClipboard(prev, action));
+    getSessionLog().recordEvent('clipboard', { action });
+  }, [applyFlags, getSessionLog]);
+
+  /**
+   * Handle the camera track ending/muting and coming back
+   * Sampling pauses while the camera is lost (frames would be black or frozen).
+   */
+  const handleCameraStatusChange = useCallback(({ lost, reason }) => {
+    applyFlags(prev => updateEnvironment(prev, { cameraLost: lost }));
+    getSessionLog().recordEvent(lost ? 'camera-lost' : 'camera-restored', lost ? { reason } : {});
+
+    if (lost && processorRef.current?.getStatus().isRunning) {
+      processorRef.current.stop();
+      pausedForCameraRef.current = true;
+    } else if (!lost && pausedForCameraRef.current) {
+      pausedForCameraRef.current = false;
+      processorRef.current?.start();
+    }
+  }, [applyFlags, getSessionLog]);
+
+  // Webcam management (after the handlers it reports to)
+  const {
+    videoRef,
+    isActive: isCameraActive,
+    isLoading: isCameraLoading,
+    error: cameraError,
+    devices: cameraDevices,
+    deviceId: cameraDeviceId,
+    cameraLost,
+    selectDevice: selectCamera,
+    startCamera,
+    stopCamera
+  } = useWebcam({ onCameraStatusChange: handleCameraStatusChange });
+
+  /**
+   * Discard the reference face and capture a new one
+   */
+  const reEnroll = useCallback(() => {
+    if (!processorRef.current) return;
+    processorRef.current.enroll();
+    setIdentityStatus('pending');
+  }, []);
+
+  /**
+   * Create fresh detector/identity backends for the selected options
+   */
+  const createBackends = useCallback(() => ({
+    detector: DETECTOR_BACKENDS[backendId].create(policy.detector),
+    identity: identity
+      ? IDENTITY_BACKENDS[IDENTITY_BACKEND_ID].create({ delegate: policy.detector.delegate })
+      : undefined
+  }), [backendId, identity, policy.detector]);
+
+  /**
+   * Forget the last session's flags and summary
+   */
+  const resetFlags = useCallback(() => {
+    // Its flags end with it rather than being cleared
+    setFlagState(flagTracker.reset());
+    setSummary(null);
+  }, [flagTracker]);
+
+  /**
+   * Start analysis when camera is active
+   */
+  const startAnalysis = useCallback(() => {
+    if (!isCameraActive || !videoRef.current || isAnalyzing) return;
+
+    resetFlags();
+    setInitError(null);
+    setIsDisabled(false);
+    setDisableReason(null);
+
+    // Create processor if needed
+    if (!processorRef.current) {
+      // Without Worker/OffscreenCanvas support, run on the main thread as before
+      const workerAnalyzer = worker && isWorkerModeSupported()
+        ? createWorkerAnalyzer({
+          detector: { id: backendId, options: policy.detector },
+          identity: identity
+            ? { id: IDENTITY_BACKEND_ID, options: { delegate: policy.detector.delegate } }
+            : null
+        })
+        : undefined;
+
+      processorRef.current = createFrameProcessor({
+        videoElement: videoRef.current,
+        ...createBackends(),
+        worker: workerAnalyzer,
+        sampler: policy.sampler,
+        evidence,
+        events,
+        onAnalysis: handleAnalysis,
+        onDisabled: handleDisabled,
+        onError: handleError,
+        onEnrolled: handleEnrolled,
+        onDegradationChange: handleDegradationChange
+      });
+    }
+
+    processorRef.current.start();
+    setIsAnalyzing(true);
+
+    const { identityEnrolled, mode } = processorRef.current.getStatus();
+    setIdentityStatus(!identity ? 'off' : identityEnrolled ? 'enrolled' : 'pending');
+    setAnalysisMode(mode);
+
+    const log = getSessionLog();
+    log.setMetadata({
+      cameraResolution: `${videoRef.current.videoWidth}x${videoRef.current.videoHeight}`,
+      detector: DETECTOR_BACKENDS[backendId].label,
+      mode,
+      policy
+    });
+    log.recordEvent('started');
+    setLogStats(log.getStats());
+
+    // Watch tab visibility, focus and fullscreen alongside the camera
+    if (!monitorRef.current) {
+      monitorRef.current = createEnvironmentMonitor({
+        onChange: handleEnvironmentChange,
+        onClipboard: handleClipboard
+      });
+      monitorRef.current.start();
+    }
+
+    // Opt-in microphone voice activity (analyzed only, never recorded)
+    if (audio && !audioMonitorRef.current) {
+      setAudioError(null);
+      const audioMonitor = createVoiceActivityMonitor({
+        onChange: handleEnvironmentChange,
+        onLevel: setAudioLevel
+      });
+      audioMonitorRef.current = audioMonitor;
+      audioMonitor.start().catch((err) => {
+        console.warn('[useProctoring] Microphone unavailable:', err);
+        setAudioError(err.message || 'Microphone unavailable');
+        if (audioMonitorRef.current === audioMonitor) {
+          audioMonitorRef.current = null;
+        }
+        audioMonitor.stop();
+      });
+    }
+  }, [isCameraActive, isAnalyzing, videoRef, backendId, identity, worker, audio, evidence, events, policy, resetFlags, createBackends, getSessionLog, handleAnalysis, handleDisabled, handleError, handleEnrolled, handleDegradationChange, handleEnvironmentChange, handleClipboard]);
+
+  /**
+   * Stop analysis and end the session
+   */
+  const stopAnalysis = useCallback(async () => {
+    pausedForCameraRef.current = false;
+    if (monitorRef.current) {
+      monitorRef.current.stop();
+      monitorRef.current = null;
+    }
+    if (audioMonitorRef.current) {
+      await audioMonitorRef.current.stop();
+      audioMonitorRef.current = null;
+    }
+    if (processorRef.current) {
+      // Final numbers for the benchmark report; cleanup resets them
+      const finalTelemetry = processorRef.current.getTelemetry();
+      setTelemetry(finalTelemetry);
+      await processorRef.current.cleanup();
+      processorRef.current = null;
+
+      // Flag state stays as it was at the end, for the summary and the history panel
+      const finalState = flagTracker.getState();
+      const endedAt = Date.now();
+      const sessionSummary = summarizeSession(finalState, policy.integrity, endedAt);
+      setSummary(sessionSummary);
+
+      const log = getSessionLog();
+      log.setMetadata({ integrity: sessionSummary });
+      log.recordEvent('stopped', { integrityScore: sessionSummary.score }, endedAt);
+      setLogStats(log.getStats());
+      callbacksRef.current.onSessionEnd?.({
+        sessionLog: log,
+        flagState: finalState,
+        summary: sessionSummary,
+        telemetry: finalTelemetry
+      });
+    }
+    setIsAnalyzing(false);
+    setLastProcessingTime(null);
+    setFaces([]);
+    setIdentityStatus('off');
+    setAnalysisMode(null);
+    setDegradation(null);
+    setAudioLevel(null);
+  }, [flagTracker, getSessionLog, policy.integrity]);
+
+  /**
+   * Discard the current session log and begin a new session
+   */
+  const startNewSession = useCallback(() => {
+    sessionLogRef.current = null;
+    setLogStats(null);
+    resetFlags();
+  }, [resetFlags]);
+
+  /**
+   * Start the camera; analysis follows when autoStart is on
+   */
+  const start = useCallback(async () => {
+    await startCamera();
+  }, [startCamera]);
+
+  /**
+   * Stop analysis and the camera
+   */
+  const stop = useCallback(async () => {
+    await stopAnalysis();
+    stopCamera();
+  }, [stopAnalysis, stopCamera]);
+
+  // Auto-start analysis when camera becomes active
+  useEffect(() => {
+    if (autoStart && isCameraActive && !isAnalyzing && !isDisabled) {
+      // Small delay to ensure video is ready
+      const timer = setTimeout(startAnalysis, AUTO_START_DELAY_MS);
+      return () => clearTimeout(timer);
+    }
+  }, [autoStart, isCameraActive, isAnalyzing, isDisabled, startAnalysis]);
+
+  // The on* options are listeners like any other
+  useEffect(() => {
+    const subscriptions = [
+      events.on('flag:raised', (event) => {
+        if (event.severity !== 'ok') {
+          callbacksRef.current.onFlagRaised?.(event.flag, event);
+        }
+      }),
+      events.on('flag:cleared', (event) => {
+        if (event.severity !== 'ok') {
+          callbacksRef.current.onFlagCleared?.(event.flag, event);
+        }
+      }),
+      events.on('processor:disabled', (event) => callbacksRef.current.onDisabled?.(event.reason))
+    ];
+    return () => subscriptions.forEach((unsubscribe) => unsubscribe());
+  }, [events]);
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      if (monitorRef.current) {
+        monitorRef.current.stop();
+      }
+      if (audioMonitorRef.current) {
+        audioMonitorRef.current.stop();
+      }
+      if (processorRef.current) {
+        processorRef.current.cleanup();
+      }
+    };
+  }, []);
+
+  return {
+    // Lifecycle events (see lib/eventBus.js EVENT_TYPES)
+    events,
+    // Camera
+    videoRef,
+    isCameraActive,
+    isCameraLoading,
+    cameraError,
+    cameraDevices,
+    cameraDeviceId,
+    cameraLost,
+    selectCamera,
+    startCamera,
+    stopCamera,
+    // Analysis
+    isAnalyzing,
+    flagState,
+    faces,
+    lastProcessingTime,
+    telemetry,
+    analysisMode,
+    degradation,
+    identityStatus,
+    isDisabled,
+    disableReason,
+    initError,
+    summary,
+    audioLevel,
+    audioError,
+    logStats,
+    // Controls
+    start,
+    stop,
+    startAnalysis,
+    stopAnalysis,
+    reEnroll,
+    createBackends,
+    getSessionLog,
+    startNewSession
+  };
+}
@@ -1,11 +1,20 @@
 /**
  * useWebcam.js - Custom hook for webcam management
- * 
+ *
  * PERFORMANCE CONSIDERATIONS:
  * - Camera stream is requested ONLY on explicit user action (not auto-start)
  * - Uses low resolution (320x240) to minimize processing overhead
  * - Video ref is stable to prevent unnecessary re-renders
  * - Cleanup on unmount prevents memory leaks
+ *
+ * DEVICE HANDLING:
+ * - Video inputs are enumerated on mount and on `devicechange`; labels
+ *   appear once camera permission has been granted
+ * - A chosen device is requested by exact deviceId; no choice means the
+ *   default front camera
+ * - Track `ended` (unplugged, taken by another app) and `mute` mark the
+ *   camera as lost; an ended camera is reacquired automatically when the
+ *   chosen device comes back (on `devicechange` and on a slow retry timer)
  */
 
 import { useState, useRef, useCallback, useEffect } from 'react';
@@ -15,23 +24,172 @@ import { useState, useRef, useCallback, useEffect } from 'react';
 const VIDEO_CONSTRAINTS = {
   width: { ideal: 320 },
   height: { ideal: 240 },
-  facingMode: 'user',
   frameRate: { ideal: 15, max: 15 } // Cap framerate to reduce processing
 };
 
+// How often to retry an ended camera when no devicechange event arrives
+const REACQUIRE_INTERVAL_MS = 3000;
+
+/**
+ * Build video constraints for a device choice
+ * @param {string|null} deviceId - Chosen device, or null for the default front camera
+ */
+function buildConstraints(deviceId) {
+  return deviceId
+    ? { ...VIDEO_CONSTRAINTS, deviceId: { exact: deviceId } }
+    : { ...VIDEO_CONSTRAINTS, facingMode: 'user' };
+}
+
 /**
  * Custom hook for managing webcam access
+ * @param {Object} [options]
+ * @param {Function} [options.onCameraStatusChange] - Called with { lost, reason } when the camera is lost or restored
  * @returns {Object} Webcam state and controls
  */
-export function useWebcam() {
+export function useWebcam({ onCameraStatusChange } = {}) {
   const [isActive, setIsActive] = useState(false);
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  
+  const [devices, setDevices] = useState([]); // [{ deviceId, label }]
+  const [deviceId, setDeviceId] = useState(null); // null = default front camera
+  const [cameraLost, setCameraLost] = useState(null); // null, or { reason, since }
+
   // Stable ref for video element - doesn't trigger re-renders
   const videoRef = useRef(null);
   // Stream ref for cleanup
   const streamRef = useRef(null);
+  // Mirrors of state read from track/device event handlers
+  const deviceIdRef = useRef(null);
+  const wantActiveRef = useRef(false);
+  const lostReasonRef = useRef(null);
+  const reacquireTimerRef = useRef(null);
+  const isReacquiringRef = useRef(false);
+  const reacquireRef = useRef(null);
+  const statusCallbackRef = useRef(onCameraStatusChange);
+
+  useEffect(() => {
+    statusCallbackRef.current = onCameraStatusChange;
+  }, [onCameraStatusChange]);
+
+  /**
+   * Re-read the list of video inputs
+   * @returns {Promise<Array<MediaDeviceInfo>>}
+   */
+  const refreshDevices = useCallback(async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      return [];
+    }
+    const inputs = (await navigator.mediaDevices.enumerateDevices())
+      .filter((device) => device.kind === 'videoinput');
+    // Before permission, browsers may list cameras without ids; nothing to pick then
+    setDevices(inputs.filter((device) => device.deviceId).map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Camera ${index + 1}`
+    })));
+    return inputs;
+  }, []);
+
+  /**
+   * Stop the current stream's tracks (stop() does not fire `ended`)
+   */
+  const releaseStream = useCallback(() => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  }, []);
+
+  const clearReacquireTimer = useCallback(() => {
+    if (reacquireTimerRef.current) {
+      clearInterval(reacquireTimerRef.current);
+      reacquireTimerRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Mark the camera restored (after reacquisition or unmute)
+   */
+  const markRestored = useCallback(() => {
+    if (!lostReasonRef.current) return;
+    console.log('[useWebcam] Camera restored');
+    lostReasonRef.current = null;
+    clearReacquireTimer();
+    setCameraLost(null);
+    statusCallbackRef.current?.({ lost: false, reason: null });
+  }, [clearReacquireTimer]);
+
+  /**
+   * Mark the camera lost and, for ended tracks, start retrying
+   * @param {string} reason - 'ended' | 'muted'
+   */
+  const markLost = useCallback((reason) => {
+    if (!wantActiveRef.current || lostReasonRef.current === reason || lostReasonRef.current === 'ended') return;
+    console.warn(`[useWebcam] Camera lost (${reason})`);
+    lostReasonRef.current = reason;
+    setCameraLost({ reason, since: Date.now() });
+    statusCallbackRef.current?.({ lost: true, reason });
+
+    if (reason === 'ended' && !reacquireTimerRef.current) {
+      reacquireTimerRef.current = setInterval(() => reacquireRef.current?.(), REACQUIRE_INTERVAL_MS);
+    }
+  }, []);
+
+  /**
+   * Request the chosen device and attach it to the video element
+   */
+  const acquire = useCallback(async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: buildConstraints(deviceIdRef.current),
+      audio: false
+    });
+
+    releaseStream();
+    streamRef.current = stream;
+
+    const [track] = stream.getVideoTracks();
+    // Ignore events from a stream that has since been replaced
+    const isCurrent = () => streamRef.current === stream;
+    track.addEventListener('ended', () => isCurrent() && markLost('ended'));
+    track.addEventListener('mute', () => isCurrent() && markLost('muted'));
+    track.addEventListener('unmute', () => isCurrent() && markRestored());
+
+    // Attach stream to video element if available
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+      // Wait for video to be ready
+      await new Promise((resolve) => {
+        videoRef.current.onloadedmetadata = resolve;
+      });
+      await videoRef.current.play();
+    }
+
+    markRestored();
+  }, [releaseStream, markLost, markRestored]);
+
+  /**
+   * Try to get an ended camera back, if the chosen device is present again
+   */
+  const reacquire = useCallback(async () => {
+    if (lostReasonRef.current !== 'ended' || isReacquiringRef.current || !wantActiveRef.current) return;
+
+    isReacquiringRef.current = true;
+    try {
+      const inputs = await refreshDevices();
+      const chosen = deviceIdRef.current;
+      if (chosen ? inputs.some((device) => device.deviceId === chosen) : inputs.length > 0) {
+        await acquire();
+      }
+    } catch (err) {
+      console.warn('[useWebcam] Reacquire failed, will retry:', err.message || err);
+    } finally {
+      isReacquiringRef.current = false;
+    }
+  }, [refreshDevices, acquire]);
+
+  // The retry timer is started from markLost, which acquire depends on
+  useEffect(() => {
+    reacquireRef.current = reacquire;
+  }, [reacquire]);
 
   /**
    * Start webcam capture
@@ -39,69 +197,104 @@ export function useWebcam() {
    */
   const startCamera = useCallback(async () => {
     if (isActive || isLoading) return;
-    
+
     setIsLoading(true);
     setError(null);
+    wantActiveRef.current = true;
 
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: VIDEO_CONSTRAINTS,
-        audio: false
-      });
-
-      streamRef.current = stream;
-
-      // Attach stream to video element if available
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        // Wait for video to be ready
-        await new Promise((resolve) => {
-          videoRef.current.onloadedmetadata = resolve;
-        });
-        await videoRef.current.play();
-      }
-
+      await acquire();
       setIsActive(true);
+      // Labels are only exposed after permission is granted
+      await refreshDevices();
     } catch (err) {
       console.error('[useWebcam] Failed to access camera:', err);
+      wantActiveRef.current = false;
       setError(err.message || 'Failed to access camera');
     } finally {
       setIsLoading(false);
     }
-  }, [isActive, isLoading]);
+  }, [isActive, isLoading, acquire, refreshDevices]);
 
   /**
    * Stop webcam capture and release resources
    */
   const stopCamera = useCallback(() => {
-    if (streamRef.current) {
-      // Stop all tracks to release camera
-      streamRef.current.getTracks().forEach(track => track.stop());
-      streamRef.current = null;
-    }
+    wantActiveRef.current = false;
+    lostReasonRef.current = null;
+    clearReacquireTimer();
+    releaseStream();
 
     if (videoRef.current) {
       videoRef.current.srcObject = null;
     }
 
     setIsActive(false);
+    setCameraLost(null);
     setError(null);
-  }, []);
+  }, [clearReacquireTimer, releaseStream]);
+
+  /**
+   * Choose a camera; switches immediately if the camera is running
+   * @param {string|null} id - deviceId, or null for the default front camera
+   */
+  const selectDevice = useCallback(async (id) => {
+    deviceIdRef.current = id || null;
+    setDeviceId(id || null);
+
+    if (wantActiveRef.current) {
+      try {
+        await acquire();
+      } catch (err) {
+        console.error('[useWebcam] Failed to switch camera:', err);
+        setError(err.message || 'Failed to switch camera');
+      }
+    }
+  }, [acquire]);
+
+  // Keep the device list current and bring an unplugged camera back
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) return;
+
+    const updateDevices = () => {
+      refreshDevices().catch((err) => {
+        console.error('[useWebcam] Failed to list cameras:', err);
+        setError(err.message || 'Failed to list cameras');
+      });
+    };
+
+    const handleDeviceChange = () => {
+      if (lostReasonRef.current === 'ended') {
+        reacquire();
+      } else {
+        updateDevices();
+      }
+    };
+
+    updateDevices();
+    mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+  }, [refreshDevices, reacquire]);
 
   // Cleanup on unmount to prevent memory leaks
   useEffect(() => {
     return () => {
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach(track => track.stop());
-      }
+      wantActiveRef.current = false;
+      clearReacquireTimer();
+      releaseStream();
     };
-  }, []);
+  }, [clearReacquireTimer, releaseStream]);
 
   return {
     videoRef,
     isActive,
     isLoading,
     error,
+    devices,
+    deviceId,
+    cameraLost,
+    selectDevice,
     startCamera,
     stopCamera
   };
@@ -0,0 +1,275 @@
+/**
+ * benchmark.js - Compare detector configurations on the same frames
+ *
+ * DESIGN DECISIONS:
+ * - Frames are captured once (live camera or a replay source) and reused
+ *   for every configuration, so differences come from the configuration
+ *   and not from what was in front of the camera
+ * - Each delegate/model pair goes through the regular faceAnalyzer
+ *   initialization path (createFaceDetectorBackend().init), so a benchmark
+ *   measures exactly what a session would load; unavailable models or
+ *   delegates are reported, not fatal
+ * - Capture resolutions are benchmarked by scaling the captured frames;
+ *   sampling intervals don't change detection cost, so they are evaluated
+ *   from the measured latencies (overrun rate, duty cycle) instead of
+ *   re-running detection at each cadence
+ * - Agreement is measured against the first configuration of the matrix
+ *   (by default the shipped GPU / short-range / 320x240 setup)
+ *
+ * PERFORMANCE CONSIDERATIONS:
+ * - Frames are scaled for one resolution at a time and released after it
+ * - One warm-up detection per configuration is excluded from latency stats
+ * - Leaves the faceAnalyzer singleton closed, so the next session loads
+ *   with its own policy options
+ */
+
+import { createFaceDetectorBackend } from './detectors/faceDetectorBackend';
+import { cleanup as cleanupDetector } from './faceAnalyzer';
+import { percentile, getEnvironmentInfo } from './telemetry';
+
+// Default comparison matrix; the first entry of each list forms the reference
+export const DEFAULT_BENCHMARK_MATRIX = {
+    delegates: ['GPU', 'CPU'],
+    models: ['short-range', 'full-range'],
+    resolutions: [{ width: 320, height: 240 }, { width: 640, height: 480 }],
+    intervalsMs: [250, 500, 1000]
+};
+
+// Frames captured for a run, and their spacing when sampling a live camera
+export const DEFAULT_BENCHMARK_FRAMES = 20;
+const LIVE_FRAME_SPACING_MS = 250;
+
+// Share of the sampling interval a detection may take before it counts as an
+// overrun (200ms of 500ms, the standard policy's budget)
+const BUDGET_FRACTION = 0.4;
+
+/**
+ * Capture frames to benchmark on
+ * Replay sources (see replay.js) are sampled evenly over their duration;
+ * a live video element is sampled every LIVE_FRAME_SPACING_MS.
+ * @param {Object} source - { videoElement, durationMs?, seek? }
+ * @param {Object} [options]
+ * @param {number} [options.count=DEFAULT_BENCHMARK_FRAMES]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<HTMLCanvasElement[]>} Frames at the source's native size
+ */
+export async function captureBenchmarkFrames(source, { count = DEFAULT_BENCHMARK_FRAMES, signal } = {}) {
+    const video = source.videoElement;
+    const frames = [];
+
+    for (let i = 0; i < count; i++) {
+        if (signal?.aborted) {
+            throw new DOMException('Benchmark aborted', 'AbortError');
+        }
+        if (source.seek) {
+            await source.seek((source.durationMs * i) / count);
+        } else if (i > 0) {
+            await new Promise((resolve) => setTimeout(resolve, LIVE_FRAME_SPACING_MS));
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth || 320;
+        canvas.height = video.videoHeight || 240;
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        frames.push(canvas);
+    }
+
+    return frames;
+}
+
+/**
+ * Run every configuration of the matrix over the captured frames
+ * @param {Object} params
+ * @param {HTMLCanvasElement[]} params.frames - From captureBenchmarkFrames
+ * @param {Object} [params.matrix=DEFAULT_BENCHMARK_MATRIX] - { delegates, models, resolutions, intervalsMs }
+ * @param {number} [params.minDetectionConfidence=0.5] - Kept fixed across configurations
+ * @param {Function} [params.onProgress] - ({ done, total, configuration }) after each configuration
+ * @param {AbortSignal} [params.signal] - Cancels between detections
+ * @returns {Promise<Object>} Report ({ generatedAt, environment, frames, matrix, reference, configurations })
+ */
+export async function runBenchmark({
+    frames, matrix = DEFAULT_BENCHMARK_MATRIX, minDetectionConfidence = 0.5, onProgress, signal
+}) {
+    if (frames.length === 0) {
+        throw new Error('Benchmark needs at least one frame');
+    }
+    const { delegates, models, resolutions, intervalsMs } = matrix;
+    const total = delegates.length * models.length * resolutions.length;
+    const configurations = [];
+    let reference = null;
+
+    console.log(`[benchmark] ${total} configurations over ${frames.length} frames`);
+
+    try {
+        for (const delegate of delegates) {
+            for (const model of models) {
+                const detector = createFaceDetectorBackend({ delegate, model, minDetectionConfidence });
+                let initError = null;
+                try {
+                    await detector.init();
+                } catch (error) {
+                    initError = error;
+                }
+
+                for (const { width, height } of resolutions) {
+                    const configuration = { delegate, model, width, height };
+
+                    if (initError) {
+                        configurations.push({ ...configuration, status: 'unavailable', error: initError.message });
+                    } else {
+                        const detections = await measure(detector, scaleFrames(frames, width, height), signal);
+                        // Keep the reference's counts/boxes for agreement (first configuration that ran)
+                        reference = reference ?? { ...configuration, detections: detections.results };
+                        configurations.push({
+                            ...configuration,
+                            status: 'ok',
+                            ...summarize(detections, reference.detections, intervalsMs)
+                        });
+                    }
+
+                    if (onProgress) {
+                        onProgress({ done: configurations.length, total, configuration: configurations.at(-1) });
+                    }
+                }
+            }
+        }
+    } finally {
+        // The next session re-initializes with its policy options
+        await cleanupDetector();
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        environment: getEnvironmentInfo(),
+        frames: { count: frames.length, width: frames[0]?.width ?? null, height: frames[0]?.height ?? null },
+        matrix,
+        budgetFraction: BUDGET_FRACTION,
+        reference: reference && {
+            delegate: reference.delegate,
+            model: reference.model,
+            width: reference.width,
+            height: reference.height
+        },
+        configurations
+    };
+}
+
+/**
+ * Flatten a report into one row per configuration and interval
+ * @param {Object} report - runBenchmark result
+ * @returns {Array<Object>} Rows for a comparison table
+ */
+export function benchmarkToRows(report) {
+    return report.configurations.flatMap((configuration) => {
+        const base = {
+            configuration: `${configuration.delegate} / ${configuration.model} / ${configuration.width}x${configuration.height}`,
+            status: configuration.status,
+            error: configuration.error ?? null
+        };
+        if (configuration.status !== 'ok') {
+            return [base];
+        }
+        return configuration.intervals.map((interval) => ({
+            ...base,
+            intervalMs: interval.intervalMs,
+            p50: configuration.latency.p50,
+            p95: configuration.latency.p95,
+            countAgreement: configuration.countAgreement,
+            meanIoU: configuration.meanIoU,
+            overrunRate: interval.overrunRate,
+            dutyCycle: interval.dutyCycle
+        }));
+    });
+}
+
+/**
+ * Helper: Detect on every frame, timing each call (after one warm-up)
+ */
+async function measure(detector, frames, signal) {
+    await detector.detect(frames[0]);
+
+    const latencies = [];
+    const results = [];
+    for (const frame of frames) {
+        if (signal?.aborted) {
+            throw new DOMException('Benchmark aborted', 'AbortError');
+        }
+        const start = performance.now();
+        const detection = await detector.detect(frame);
+        latencies.push(performance.now() - start);
+        results.push({ count: detection.count, box: detection.faces[0]?.box ?? null });
+    }
+    return { latencies, results };
+}
+
+/**
+ * Helper: Latency, agreement and per-interval load for one configuration
+ */
+function summarize({ latencies, results }, referenceResults, intervalsMs) {
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const mean = latencies.reduce((sum, value) => sum + value, 0) / latencies.length;
+
+    let sameCount = 0;
+    const overlaps = [];
+    results.forEach((result, i) => {
+        const expected = referenceResults[i];
+        if (result.count === expected.count) {
+            sameCount++;
+        }
+        if (result.box && expected.box) {
+            overlaps.push(boxIoU(result.box, expected.box));
+        }
+    });
+
+    return {
+        latency: {
+            mean: round(mean),
+            p50: round(percentile(sorted, 0.5)),
+            p95: round(percentile(sorted, 0.95)),
+            max: round(sorted[sorted.length - 1])
+        },
+        faceFrames: results.filter((result) => result.count > 0).length,
+        countAgreement: round(sameCount / results.length, 3),
+        meanIoU: overlaps.length > 0
+            ? round(overlaps.reduce((sum, value) => sum + value, 0) / overlaps.length, 3)
+            : null,
+        intervals: intervalsMs.map((intervalMs) => ({
+            intervalMs,
+            overrunRate: round(latencies.filter((value) => value > intervalMs * BUDGET_FRACTION).length / latencies.length, 3),
+            // Share of wall-clock time spent detecting at this interval
+            dutyCycle: round(mean / intervalMs, 3)
+        }))
+    };
+}
+
+/**
+ * Helper: Scale frames to a capture resolution
+ */
+function scaleFrames(frames, width, height) {
+    return frames.map((frame) => {
+        if (frame.width === width && frame.height === height) {
+            return frame;
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(frame, 0, 0, width, height);
+        return canvas;
+    });
+}
+
+/**
+ * Helper: Intersection over union of two normalized boxes
+ */
+function boxIoU(a, b) {
+    const overlapWidth = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+    const overlapHeight = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+    const intersection = overlapWidth * overlapHeight;
+    const union = a.width * a.height + b.width * b.height - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+function round(value, digits = 1) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+}
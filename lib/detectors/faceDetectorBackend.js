@@ -0,0 +1,34 @@
+/**
+ * faceDetectorBackend.js - MediaPipe FaceDetector backend adapter
+ *
+ * Thin adapter over the faceAnalyzer singleton so the existing lazy,
+ * single-instance FaceDetector plugs into createFrameProcessor.
+ *
+ * NOTE: All adapters created by this factory share the faceAnalyzer singleton;
+ * closing one releases the detector for all of them.
+ */
+
+import { initializeDetector, detectFaces, cleanup } from '../faceAnalyzer';
+
+/**
+ * Create a detector backend backed by MediaPipe FaceDetector
+ * @param {Object} [options] - { delegate, minDetectionConfidence, model } (policy `detector` section)
+ * @returns {Object} Detector backend ({ name, init, detect, close })
+ */
+export function createFaceDetectorBackend(options) {
+    return {
+        name: 'mediapipe-face-detector',
+
+        async init() {
+            await initializeDetector(options);
+        },
+
+        detect(image) {
+            return detectFaces(image);
+        },
+
+        close() {
+            return cleanup();
+        }
+    };
+}
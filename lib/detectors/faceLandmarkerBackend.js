@@ -0,0 +1,125 @@
+/**
+ * faceLandmarkerBackend.js - MediaPipe FaceLandmarker backend adapter
+ *
+ * DESIGN DECISIONS:
+ * - One FaceLandmarker per backend instance (no singleton), so it can run
+ *   side by side with the FaceDetector backend for comparisons
+ * - Output is reduced to the same { count, faces } shape as detectFaces():
+ *   box from the landmark extent, six keypoints matching BlazeFace's order
+ *
+ * PERFORMANCE CONSIDERATIONS:
+ * - Heavier than FaceDetector (478 landmarks per face); intended for
+ *   comparison and head-pose work rather than as the default
+ */
+
+import { FaceLandmarker } from '@mediapipe/tasks-vision';
+import { loadVisionFileset } from '../faceAnalyzer';
+import { poseFromKeypoints, poseFromMatrix } from '../headPose';
+
+// Landmark indices matching BlazeFace keypoints:
+// right eye, left eye, nose tip, mouth, right ear tragion, left ear tragion
+const KEYPOINT_LANDMARKS = [468, 473, 1, 13, 234, 454];
+
+/**
+ * Create a detector backend backed by MediaPipe FaceLandmarker
+ * @param {Object} [options]
+ * @param {number} [options.numFaces=4] - Max faces to report (must exceed 1 to flag MULTIPLE_FACES)
+ * @param {string} [options.delegate='GPU'] - 'GPU' or 'CPU'
+ * @param {number} [options.minDetectionConfidence=0.5] - Face detection confidence
+ * @returns {Object} Detector backend ({ name, init, detect, close })
+ */
+export function createFaceLandmarkerBackend({ numFaces = 4, delegate = 'GPU', minDetectionConfidence = 0.5 } = {}) {
+    let landmarker = null;
+    let initPromise = null;
+
+    async function init() {
+        if (landmarker) {
+            return;
+        }
+
+        // Prevent multiple simultaneous initializations
+        if (!initPromise) {
+            initPromise = (async () => {
+                const { vision, assets } = await loadVisionFileset(['faceLandmarker']);
+
+                console.log('[faceLandmarkerBackend] Creating FaceLandmarker...');
+                landmarker = await FaceLandmarker.createFromOptions(vision, {
+                    baseOptions: {
+                        modelAssetPath: assets.model('faceLandmarker'),
+                        delegate
+                    },
+                    runningMode: 'IMAGE',
+                    numFaces,
+                    minFaceDetectionConfidence: minDetectionConfidence,
+                    // Needed for accurate head pose (LOOKING_AWAY)
+                    outputFacialTransformationMatrixes: true
+                });
+                console.log('[faceLandmarkerBackend] FaceLandmarker ready');
+            })().catch((error) => {
+                initPromise = null;
+                throw error;
+            });
+        }
+
+        await initPromise;
+    }
+
+    async function detect(image) {
+        await init();
+
+        const result = landmarker.detect(image);
+        const matrices = result.facialTransformationMatrixes || [];
+        const faces = (result.faceLandmarks || []).map((landmarks, i) =>
+            toFace(landmarks, matrices[i])
+        );
+
+        return {
+            count: faces.length,
+            faces
+        };
+    }
+
+    async function close() {
+        if (landmarker) {
+            landmarker.close();
+            landmarker = null;
+            initPromise = null;
+            console.log('[faceLandmarkerBackend] Landmarker cleaned up');
+        }
+    }
+
+    return {
+        name: 'mediapipe-face-landmarker',
+        init,
+        detect,
+        close
+    };
+}
+
+/**
+ * Reduce a landmark set to detectFaces() geometry
+ * @param {Array<{x: number, y: number}>} landmarks - Normalized landmarks
+ * @param {Object} [matrix] - Facial transformation matrix ({ data })
+ * @returns {Object} { box, keypoints, score, pose }
+ */
+function toFace(landmarks, matrix) {
+    let minX = 1, minY = 1, maxX = 0, maxY = 0;
+    for (const { x, y } of landmarks) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }
+
+    const keypoints = KEYPOINT_LANDMARKS
+        .filter((index) => landmarks[index])
+        .map((index) => ({ x: landmarks[index].x, y: landmarks[index].y }));
+
+    return {
+        box: { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
+        keypoints,
+        // FaceLandmarker does not report a per-face confidence
+        score: null,
+        pose: matrix ? poseFromMatrix(matrix.data) : poseFromKeypoints(keypoints)
+    };
+}
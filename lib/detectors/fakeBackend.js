@@ -0,0 +1,175 @@
+/**
+ * fakeBackend.js - Scripted detector backend for headless runs
+ *
+ * DESIGN DECISIONS:
+ * - Deterministic: each detect() call returns the next scripted step
+ * - No browser APIs or imports, so it runs under plain Node
+ * - Ships a fake video source so createFrameProcessor can run without
+ *   a DOM, OffscreenCanvas or camera, and a fake identity backend
+ *
+ * SCRIPT STEPS:
+ * - A number: that many faces with generated boxes, e.g. [1, 1, 0, 0, 0, 2]
+ * - An object: { faces: [{ box, keypoints, score }] } for exact geometry,
+ *   { count } for generated boxes, { error: 'message' } to throw,
+ *   optional { pose: { yaw, pitch } } applied to generated faces,
+ *   optional { latencyMs } to simulate slow inference
+ */
+
+// Generated face size (normalized to frame size)
+const DEFAULT_FACE_WIDTH = 0.3;
+const DEFAULT_FACE_HEIGHT = 0.4;
+
+/**
+ * Create a scripted detector backend
+ * @param {Object} [options]
+ * @param {Array<number|Object>} [options.script=[1]] - Steps returned in order
+ * @param {boolean} [options.loop=true] - Restart the script when exhausted (otherwise repeat the last step)
+ * @param {number} [options.latencyMs=0] - Simulated inference time for every step
+ * @returns {Object} Detector backend ({ name, init, detect, close }) plus getCallCount()
+ */
+export function createFakeBackend({ script = [1], loop = true, latencyMs = 0 } = {}) {
+    let callCount = 0;
+
+    async function detect() {
+        const index = loop
+            ? callCount % script.length
+            : Math.min(callCount, script.length - 1);
+        callCount++;
+
+        const step = typeof script[index] === 'number'
+            ? { count: script[index] }
+            : script[index];
+
+        const delay = step.latencyMs ?? latencyMs;
+        if (delay > 0) {
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+
+        if (step.error) {
+            throw new Error(step.error);
+        }
+
+        const faces = step.faces || generateFaces(step.count || 0, step.pose);
+        return {
+            count: faces.length,
+            faces
+        };
+    }
+
+    return {
+        name: 'fake',
+        init: async () => {},
+        detect,
+        close: async () => {},
+        getCallCount: () => callCount
+    };
+}
+
+/**
+ * Create a scripted identity backend
+ * The first embed() is the enrollment; each later compare() returns the
+ * next similarity from the script (repeating the last value when exhausted).
+ * @param {Object} [options]
+ * @param {number[]} [options.similarities=[1]] - Similarities returned by compare()
+ * @returns {Object} Identity backend ({ name, init, embed, compare, close })
+ */
+export function createFakeIdentity({ similarities = [1] } = {}) {
+    let compareCount = 0;
+
+    return {
+        name: 'fake-identity',
+        init: async () => {},
+        embed: async () => ({ floatEmbedding: [] }),
+        compare() {
+            const similarity = similarities[Math.min(compareCount, similarities.length - 1)];
+            compareCount++;
+            return similarity;
+        },
+        close: async () => {}
+    };
+}
+
+/**
+ * Create a stand-in video element and canvas factory for createFrameProcessor
+ * Every captured frame is a gray image of the given average brightness:
+ * darker and lighter vertical stripes (so it has contrast and sharp edges)
+ * whose level wobbles by one step per capture (so it isn't frozen).
+ * @param {Object} [options]
+ * @param {number} [options.width=320]
+ * @param {number} [options.height=240]
+ * @param {number|Function} [options.brightness=128] - Gray level (0-255), or a function of the capture count
+ * @param {boolean} [options.flat=false] - Uniform frames, like a covered lens (CAMERA_BLOCKED)
+ * @param {boolean} [options.frozen=false] - Identical frames, like a stuck feed (FRAME_FROZEN)
+ * @returns {Object} { videoElement, createCanvas } to spread into createFrameProcessor options
+ */
+export function createFakeVideoSource({ width = 320, height = 240, brightness = 128, flat = false, frozen = false } = {}) {
+    // Stripe offset from the average level, and stripe width in pixels
+    const contrast = flat ? 0 : 24;
+    const stripeWidth = 16;
+    let captureCount = 0;
+
+    const videoElement = {
+        readyState: 4,
+        videoWidth: width,
+        videoHeight: height
+    };
+
+    function createCanvas(canvasWidth, canvasHeight) {
+        let level = 0;
+
+        const ctx = {
+            drawImage() {
+                level = typeof brightness === 'function' ? brightness(captureCount) : brightness;
+                if (!frozen) {
+                    level += captureCount % 2 === 0 ? 1 : -1;
+                }
+                captureCount++;
+            },
+            getImageData(x, y, w, h) {
+                const data = new Uint8ClampedArray(w * h * 4);
+                for (let row = 0; row < h; row++) {
+                    for (let left = 0; left < w; left += stripeWidth) {
+                        const offset = (left / stripeWidth) % 2 === 0 ? -contrast : contrast;
+                        data.fill(level + offset, (row * w + left) * 4, (row * w + Math.min(left + stripeWidth, w)) * 4);
+                    }
+                }
+                return { width: w, height: h, data };
+            }
+        };
+
+        return {
+            width: canvasWidth,
+            height: canvasHeight,
+            getContext: () => ctx
+        };
+    }
+
+    return { videoElement, createCanvas };
+}
+
+/**
+ * Lay out N faces side by side with BlazeFace-style keypoints
+ * @param {number} count
+ * @param {Object} [pose={ yaw: 0, pitch: 0 }] - Head pose reported for every face
+ * @returns {Array} Faces ({ box, keypoints, score, pose })
+ */
+function generateFaces(count, pose = { yaw: 0, pitch: 0 }) {
+    return Array.from({ length: count }, (_, i) => {
+        const centerX = (i + 0.5) / count;
+        const box = {
+            x: centerX - DEFAULT_FACE_WIDTH / 2,
+            y: 0.3,
+            width: DEFAULT_FACE_WIDTH,
+            height: DEFAULT_FACE_HEIGHT
+        };
+
+        // right eye, left eye, nose tip, mouth, right ear, left ear
+        const at = (dx, dy) => ({ x: box.x + dx * box.width, y: box.y + dy * box.height });
+        return {
+            box,
+            keypoints: [at(0.3, 0.35), at(0.7, 0.35), at(0.5, 0.55), at(0.5, 0.75), at(0.05, 0.45), at(0.95, 0.45)],
+            score: 0.9,
+            pose
+        };
+    });
+}
@@ -0,0 +1,119 @@
+/**
+ * imageEmbedderIdentity.js - Face identity embeddings via MediaPipe ImageEmbedder
+ *
+ * DESIGN DECISIONS:
+ * - Embeds a square crop around the detection box (with margin), so the
+ *   comparison looks at the face rather than the room behind it
+ * - Generic image embeddings, not a face-recognition model: good enough to
+ *   notice a different person sitting down, not to identify anyone
+ * - Embeddings stay in memory only; nothing is stored or uploaded
+ *
+ * PERFORMANCE CONSIDERATIONS:
+ * - Small crop (96x96) and mobilenet_v3_small keep one embed in a few ms
+ * - Called periodically by frameProcessor, not on every sample
+ */
+
+import { ImageEmbedder } from '@mediapipe/tasks-vision';
+import { loadVisionFileset } from '../faceAnalyzer';
+
+const CROP_SIZE = 96;
+// Extra context around the detection box (fraction of box size per side)
+const CROP_MARGIN = 0.2;
+
+/**
+ * Create an identity backend backed by MediaPipe ImageEmbedder
+ * @param {Object} [options]
+ * @param {string} [options.delegate='GPU'] - 'GPU' or 'CPU'
+ * @returns {Object} Identity backend ({ name, init, embed, compare, close })
+ */
+export function createImageEmbedderIdentity({ delegate = 'GPU' } = {}) {
+    let embedder = null;
+    let initPromise = null;
+    let cropCanvas = null;
+    let cropCtx = null;
+
+    async function init() {
+        if (embedder) {
+            return;
+        }
+
+        // Prevent multiple simultaneous initializations
+        if (!initPromise) {
+            initPromise = (async () => {
+                const { vision, assets } = await loadVisionFileset(['imageEmbedder']);
+
+                console.log('[imageEmbedderIdentity] Creating ImageEmbedder...');
+                embedder = await ImageEmbedder.createFromOptions(vision, {
+                    baseOptions: {
+                        modelAssetPath: assets.model('imageEmbedder'),
+                        delegate
+                    },
+                    runningMode: 'IMAGE',
+                    l2Normalize: true
+                });
+                console.log('[imageEmbedderIdentity] ImageEmbedder ready');
+            })().catch((error) => {
+                initPromise = null;
+                throw error;
+            });
+        }
+
+        await initPromise;
+    }
+
+    /**
+     * Crop the face region into the reusable crop canvas
+     * @param {HTMLCanvasElement|OffscreenCanvas} frame - Captured frame
+     * @param {Object} box - Normalized detection box
+     */
+    function cropFace(frame, box) {
+        if (!cropCanvas) {
+            if (typeof OffscreenCanvas !== 'undefined') {
+                cropCanvas = new OffscreenCanvas(CROP_SIZE, CROP_SIZE);
+            } else {
+                cropCanvas = document.createElement('canvas');
+                cropCanvas.width = CROP_SIZE;
+                cropCanvas.height = CROP_SIZE;
+            }
+            cropCtx = cropCanvas.getContext('2d');
+        }
+
+        // Square crop centered on the box, in source pixels
+        const size = Math.max(box.width * frame.width, box.height * frame.height) * (1 + CROP_MARGIN * 2);
+        const centerX = (box.x + box.width / 2) * frame.width;
+        const centerY = (box.y + box.height / 2) * frame.height;
+
+        cropCtx.clearRect(0, 0, CROP_SIZE, CROP_SIZE);
+        cropCtx.drawImage(frame, centerX - size / 2, centerY - size / 2, size, size, 0, 0, CROP_SIZE, CROP_SIZE);
+        return cropCanvas;
+    }
+
+    async function embed(frame, box) {
+        await init();
+        const result = embedder.embed(cropFace(frame, box));
+        return result.embeddings[0];
+    }
+
+    function compare(reference, current) {
+        return ImageEmbedder.cosineSimilarity(reference, current);
+    }
+
+    async function close() {
+        if (embedder) {
+            embedder.close();
+            embedder = null;
+            initPromise = null;
+            console.log('[imageEmbedderIdentity] Embedder cleaned up');
+        }
+        cropCanvas = null;
+        cropCtx = null;
+    }
+
+    return {
+        name: 'mediapipe-image-embedder',
+        init,
+        embed,
+        compare,
+        close
+    };
+}
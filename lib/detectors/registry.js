@@ -0,0 +1,19 @@
+/**
+ * registry.js - Selectable backends by id
+ *
+ * Ids (not backend objects) are what cross the worker boundary, so the
+ * page and the detection worker both build backends from this table.
+ */
+
+import { createFaceDetectorBackend } from './faceDetectorBackend';
+import { createFaceLandmarkerBackend } from './faceLandmarkerBackend';
+import { createImageEmbedderIdentity } from './imageEmbedderIdentity';
+
+export const DETECTOR_BACKENDS = {
+    'face-detector': { label: 'MediaPipe FaceDetector', create: createFaceDetectorBackend },
+    'face-landmarker': { label: 'MediaPipe FaceLandmarker', create: createFaceLandmarkerBackend }
+};
+
+export const IDENTITY_BACKENDS = {
+    'image-embedder': { label: 'MediaPipe ImageEmbedder', create: createImageEmbedderIdentity }
+};
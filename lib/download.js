@@ -0,0 +1,22 @@
+/**
+ * download.js - Client-side file download helper
+ */
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} [mimeType='application/json'] - MIME type
+ */
+export function downloadText(filename, content, mimeType = 'application/json') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    // Release the object URL once the click has been dispatched
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,134 @@
+/**
+ * environmentMonitor.js - Browser focus, tab visibility and fullscreen watcher
+ *
+ * DESIGN DECISIONS:
+ * - Event-driven, alongside (not inside) frameProcessor: these signals come
+ *   from the browser, not the camera, and must not wait for the next sample
+ * - Reports plain booleans; flagManager.updateEnvironment turns them into
+ *   TAB_HIDDEN / WINDOW_BLURRED / FULLSCREEN_EXITED with durations
+ * - Fullscreen exam mode starts the first time the page is seen in
+ *   fullscreen while monitoring; from then on, any exit is flagged until
+ *   fullscreen is re-entered
+ * - Clipboard actions are reported as one-off events, not flags
+ *
+ * PERFORMANCE CONSIDERATIONS:
+ * - Passive listeners only; no polling
+ */
+
+/**
+ * Request fullscreen for the whole page (must be called from a user gesture)
+ * @returns {Promise<void>}
+ */
+export async function enterExamFullscreen() {
+    if (!document.fullscreenEnabled) {
+        throw new Error('Fullscreen is not available in this browser');
+    }
+    if (!document.fullscreenElement) {
+        await document.documentElement.requestFullscreen();
+    }
+}
+
+/**
+ * Create an environment monitor
+ * @param {Object} options
+ * @param {Function} options.onChange - Called with { tabHidden, windowBlurred, fullscreenExited, examMode } on every change
+ * @param {Function} [options.onClipboard] - Called with 'copy' | 'cut' | 'paste'
+ * @returns {Object} Monitor controls ({ start, stop, getStatus })
+ */
+export function createEnvironmentMonitor({ onChange, onClipboard }) {
+    let isRunning = false;
+    let status = {
+        tabHidden: false,
+        windowBlurred: false,
+        fullscreenExited: false,
+        examMode: false
+    };
+
+    /**
+     * Read the current status from the document
+     */
+    function readStatus() {
+        const isFullscreen = Boolean(document.fullscreenElement);
+        const examMode = status.examMode || isFullscreen;
+        return {
+            tabHidden: document.visibilityState === 'hidden',
+            windowBlurred: !document.hasFocus(),
+            fullscreenExited: examMode && !isFullscreen,
+            examMode
+        };
+    }
+
+    /**
+     * Recompute status and report if anything changed
+     */
+    function update() {
+        const next = readStatus();
+        const changed = Object.keys(next).some((key) => next[key] !== status[key]);
+        status = next;
+        if (changed && onChange) {
+            onChange(status);
+        }
+    }
+
+    function handleClipboard(event) {
+        if (onClipboard) {
+            onClipboard(event.type);
+        }
+    }
+
+    /**
+     * Start listening; reports the initial status immediately
+     */
+    function start() {
+        if (isRunning) {
+            return;
+        }
+        isRunning = true;
+
+        document.addEventListener('visibilitychange', update);
+        document.addEventListener('fullscreenchange', update);
+        window.addEventListener('blur', update);
+        window.addEventListener('focus', update);
+        for (const type of ['copy', 'cut', 'paste']) {
+            document.addEventListener(type, handleClipboard);
+        }
+
+        console.log('[environmentMonitor] Started');
+        // Report even an all-clear initial status, so callers start in sync
+        status = readStatus();
+        if (onChange) {
+            onChange(status);
+        }
+    }
+
+    /**
+     * Stop listening and forget exam mode
+     */
+    function stop() {
+        if (!isRunning) {
+            return;
+        }
+        isRunning = false;
+
+        document.removeEventListener('visibilitychange', update);
+        document.removeEventListener('fullscreenchange', update);
+        window.removeEventListener('blur', update);
+        window.removeEventListener('focus', update);
+        for (const type of ['copy', 'cut', 'paste']) {
+            document.removeEventListener(type, handleClipboard);
+        }
+
+        status = { tabHidden: false, windowBlurred: false, fullscreenExited: false, examMode: false };
+        console.log('[environmentMonitor] Stopped');
+    }
+
+    function getStatus() {
+        return { ...status, isRunning };
+    }
+
+    return {
+        start,
+        stop,
+        getStatus
+    };
+}
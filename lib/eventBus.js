@@ -0,0 +1,185 @@
+/**
+ * eventBus.js - Typed events for the processor and flag lifecycle
+ *
+ * DESIGN DECISIONS:
+ * - One bus per session, shared by frameProcessor (sample / processor:* /
+ *   detector:ready) and the flagManager tracker (flag:* via
+ *   createFlagTracker), so logging, UI and network reporting subscribe
+ *   independently instead of sharing one callback
+ * - Event names are a closed list: subscribing to or emitting an unknown
+ *   name throws, so a typo fails loudly instead of never firing
+ * - A throwing listener is logged and skipped; the others still run and the
+ *   emitter (the sampling loop) is never interrupted
+ * - No imports, so headless Node runs can use it
+ *
+ * PERFORMANCE CONSIDERATIONS:
+ * - Listeners are called synchronously in subscription order; keep them
+ *   short (sample fires at the sampling rate)
+ */
+
+/**
+ * @typedef {Object} SampleEvent - frameProcessor analysis result
+ * @property {number} timestamp - Sample time (ms, processor clock)
+ * @property {number} faceCount
+ * @property {number} processingTime - ms
+ *   (plus faces, headPose, brightness, lighting, sharpness, ... as passed to onAnalysis)
+ */
+
+/**
+ * @typedef {Object} FlagRaisedEvent
+ * @property {string} flag - Flag type, e.g. 'FACE_MISSING'
+ * @property {string} severity - 'ok' | 'warning' | 'error'
+ * @property {number} timestamp - When it was raised
+ * @property {string[]} flags - All current flags after the change
+ */
+
+/**
+ * @typedef {Object} FlagClearedEvent
+ * @property {string} flag - Flag type
+ * @property {string} severity - 'ok' | 'warning' | 'error'
+ * @property {number} timestamp - When it cleared
+ * @property {number|null} raisedAt - When it was raised (null if unknown)
+ * @property {number|null} durationMs - How long it was raised
+ * @property {string[]} flags - All current flags after the change
+ */
+
+/**
+ * @typedef {Object} ProcessorStartedEvent
+ * @property {number} timestamp
+ * @property {number} intervalMs - Sampling interval at the current degradation level
+ */
+
+/**
+ * @typedef {Object} ProcessorStoppedEvent
+ * @property {number} timestamp
+ * @property {number} durationMs - Time since the matching processor:started
+ */
+
+/**
+ * @typedef {Object} ProcessorDisabledEvent
+ * @property {number} timestamp
+ * @property {string} reason - Why processing was disabled
+ */
+
+/**
+ * @typedef {Object} DetectorReadyEvent
+ * @property {number} timestamp
+ * @property {string} detector - Backend (or worker) name
+ * @property {string} mode - 'main' | 'worker' (after any worker fallback)
+ * @property {number} loadMs - Time spent loading models
+ */
+
+// Event name -> payload typedef above
+export const EVENT_TYPES = [
+    'sample', // SampleEvent
+    'flag:raised', // FlagRaisedEvent
+    'flag:cleared', // FlagClearedEvent
+    'processor:started', // ProcessorStartedEvent
+    'processor:stopped', // ProcessorStoppedEvent
+    'processor:disabled', // ProcessorDisabledEvent
+    'detector:ready' // DetectorReadyEvent
+];
+
+/**
+ * Create an event bus
+ * @returns {Object} Bus controls ({ on, once, off, emit, listenerCount, clear })
+ */
+export function createEventBus() {
+    // Event name -> listeners in subscription order
+    const listeners = new Map(EVENT_TYPES.map((type) => [type, []]));
+
+    /**
+     * Get the listener list for a known event name
+     */
+    function listenersOf(type) {
+        const list = listeners.get(type);
+        if (!list) {
+            throw new Error(`Unknown event "${type}" (expected one of: ${EVENT_TYPES.join(', ')})`);
+        }
+        return list;
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - One of EVENT_TYPES
+     * @param {Function} listener - (payload) => void
+     * @returns {Function} Unsubscribe
+     */
+    function on(type, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error(`Listener for "${type}" must be a function`);
+        }
+        listenersOf(type).push(listener);
+        return () => off(type, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - One of EVENT_TYPES
+     * @param {Function} listener - (payload) => void
+     * @returns {Function} Unsubscribe (before it fired)
+     */
+    function once(type, listener) {
+        const unsubscribe = on(type, (payload) => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribe a listener (no-op if it isn't subscribed)
+     * @param {string} type - One of EVENT_TYPES
+     * @param {Function} listener - The function passed to on()
+     */
+    function off(type, listener) {
+        const list = listenersOf(type);
+        const index = list.indexOf(listener);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+    }
+
+    /**
+     * Call every listener of an event with its payload
+     * @param {string} type - One of EVENT_TYPES
+     * @param {Object} payload - The event's typed payload
+     */
+    function emit(type, payload) {
+        // Copy, so listeners may unsubscribe (or subscribe) while being called
+        for (const listener of [...listenersOf(type)]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`[eventBus] "${type}" listener failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Number of listeners for an event
+     * @param {string} type - One of EVENT_TYPES
+     * @returns {number}
+     */
+    function listenerCount(type) {
+        return listenersOf(type).length;
+    }
+
+    /**
+     * Remove all listeners
+     */
+    function clear() {
+        for (const list of listeners.values()) {
+            list.length = 0;
+        }
+    }
+
+    return {
+        on,
+        once,
+        off,
+        emit,
+        listenerCount,
+        clear
+    };
+}
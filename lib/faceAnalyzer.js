@@ -2,30 +2,81 @@
  * faceAnalyzer.js - MediaPipe Face Detector wrapper
  * 
  * DESIGN DECISIONS:
- * - Uses lightweight FaceDetector for face counting only
+ * - Uses lightweight FaceDetector for face counting and geometry
  * - Singleton pattern: Only one detector instance to save memory
  * - Lazy initialization: Model loads only when first needed
  * 
  * PERFORMANCE CONSIDERATIONS:
- * - Uses 'short_range' model for speed (optimized for faces within 2m)
+ * - Uses 'short_range' model for speed (optimized for faces within 2m);
+ *   'full-range' can be chosen for benchmarking if its model is installed
  * - Single detection mode (not continuous) for throttled processing
  * - WebGL delegate for GPU acceleration when available
+ *
+ * ASSETS:
+ * - WASM fileset and model are self-hosted and version-pinned (see mediapipeAssets.js)
  */
 
 import { FaceDetector, FilesetResolver } from '@mediapipe/tasks-vision';
+import { verifyAssets } from './mediapipeAssets';
+import { poseFromKeypoints } from './headPose';
+import { POLICY_PRESETS } from './policy';
 
 // Singleton instance
 let detectorInstance = null;
 let initPromise = null;
 
-// MediaPipe CDN for WASM files
-const WASM_PATH = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm';
+// Model role (see mediapipeAssets MODEL_FILES) for each selectable detector model
+// (policy detector.model; keep POLICY_SCHEMA in sync)
+export const DETECTOR_MODELS = {
+    'short-range': 'faceDetector',
+    'full-range': 'faceDetectorFullRange'
+};
+
+// Detector options (policy `detector` section); changing them recreates the instance
+const DEFAULT_DETECTOR_OPTIONS = POLICY_PRESETS.standard.detector;
+let detectorOptions = DEFAULT_DETECTOR_OPTIONS;
+
+// Shared WASM fileset (also used by the FaceLandmarker backend)
+let visionPromise = null;
+
+/**
+ * Verify self-hosted assets and load the shared MediaPipe vision fileset
+ * @param {string[]} roles - Model roles that will be loaded (see MODEL_FILES)
+ * @returns {Promise<Object>} { vision, assets }
+ */
+export async function loadVisionFileset(roles) {
+    // Fails fast with a MediaPipeAssetError if assets are missing or stale
+    const assets = await verifyAssets(roles);
+
+    if (!visionPromise) {
+        console.log('[faceAnalyzer] Loading MediaPipe vision WASM...');
+        visionPromise = FilesetResolver.forVisionTasks(assets.wasm).catch((error) => {
+            visionPromise = null;
+            throw error;
+        });
+    }
+
+    return { vision: await visionPromise, assets };
+}
 
 /**
  * Initialize the FaceDetector singleton
+ * @param {Object} [options] - { delegate, minDetectionConfidence, model }; omitted keeps the current options
  * @returns {Promise<FaceDetector>}
  */
-async function initializeDetector() {
+export async function initializeDetector(options) {
+    if (options) {
+        const merged = { ...DEFAULT_DETECTOR_OPTIONS, ...options };
+        if (merged.delegate !== detectorOptions.delegate ||
+            merged.minDetectionConfidence !== detectorOptions.minDetectionConfidence ||
+            merged.model !== detectorOptions.model) {
+            // Drop the instance built with stale options
+            await initPromise?.catch(() => {});
+            await cleanup();
+            detectorOptions = merged;
+        }
+    }
+
     if (detectorInstance) {
         return detectorInstance;
     }
@@ -37,17 +88,20 @@ async function initializeDetector() {
 
     initPromise = (async () => {
         try {
-            console.log('[faceAnalyzer] Loading MediaPipe vision WASM...');
-            const vision = await FilesetResolver.forVisionTasks(WASM_PATH);
+            const role = DETECTOR_MODELS[detectorOptions.model];
+            if (!role) {
+                throw new Error(`Unknown face detector model "${detectorOptions.model}"`);
+            }
+            const { vision, assets } = await loadVisionFileset([role]);
 
-            console.log('[faceAnalyzer] Creating FaceDetector...');
+            console.log(`[faceAnalyzer] Creating FaceDetector (${detectorOptions.model}, ${detectorOptions.delegate})...`);
             detectorInstance = await FaceDetector.createFromOptions(vision, {
                 baseOptions: {
-                    modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite',
-                    delegate: 'GPU' // Use WebGL when available
+                    modelAssetPath: assets.model(role),
+                    delegate: detectorOptions.delegate
                 },
                 runningMode: 'IMAGE', // Single image mode (not video stream)
-                minDetectionConfidence: 0.5
+                minDetectionConfidence: detectorOptions.minDetectionConfidence
             });
 
             console.log('[faceAnalyzer] FaceDetector ready');
@@ -65,16 +119,57 @@ async function initializeDetector() {
 /**
  * Detect faces in an image/canvas/video frame
  * @param {HTMLCanvasElement|HTMLVideoElement|ImageData} image - Input image
- * @returns {Promise<Object>} Detection results with face count
+ * @returns {Promise<Object>} Detection results with face count and geometry
  */
 export async function detectFaces(image) {
     const detector = await initializeDetector();
 
     // FaceDetector.detect() returns detections with bounding boxes
     const result = detector.detect(image);
+    const faces = (result.detections || []).map((detection) =>
+        normalizeDetection(detection, getImageSize(image))
+    );
 
     return {
-        count: result.detections?.length || 0
+        count: faces.length,
+        faces
+    };
+}
+
+/**
+ * Convert a MediaPipe detection into normalized (0-1) geometry
+ * Bounding boxes come back in pixels while keypoints are already normalized.
+ * @param {Object} detection - MediaPipe Detection
+ * @param {Object} size - Source image { width, height } in pixels
+ * @returns {Object} { box: {x, y, width, height}, keypoints: [{x, y}], score, pose }
+ */
+function normalizeDetection(detection, size) {
+    const box = detection.boundingBox;
+    const keypoints = (detection.keypoints || []).map(({ x, y }) => ({ x, y }));
+
+    return {
+        box: box ? {
+            x: box.originX / size.width,
+            y: box.originY / size.height,
+            width: box.width / size.width,
+            height: box.height / size.height
+        } : null,
+        // Order: right eye, left eye, nose tip, mouth, right ear, left ear
+        keypoints,
+        score: detection.categories?.[0]?.score ?? 0,
+        pose: poseFromKeypoints(keypoints)
+    };
+}
+
+/**
+ * Get pixel dimensions of any supported input image
+ * @param {HTMLCanvasElement|HTMLVideoElement|ImageData} image
+ * @returns {Object} { width, height }
+ */
+function getImageSize(image) {
+    return {
+        width: image.videoWidth || image.width || 1,
+        height: image.videoHeight || image.height || 1
     };
 }
 
@@ -3,7 +3,7 @@
  * 
  * DESIGN DECISIONS:
  * - Pure functions for flag logic (testable, no side effects)
- * - Consecutive sample counting for FACE_MISSING (avoids flickering)
+ * - Consecutive sample counting for FACE_MISSING, LOOKING_AWAY and framing flags (avoids flickering)
  * - Timestamp tracking for each flag change
  * - Auto-clear when conditions resolve
  * 
@@ -12,15 +12,171 @@
  * - FACE_MISSING: No face for N consecutive samples
  * - MULTIPLE_FACES: More than one face detected
  * - LOW_LIGHT: Video too dark for reliable detection
+ * - BACKLIT: Background much brighter than the face (window or lamp behind)
+ * - OVEREXPOSED: Too much of the frame clipped to white
+ * - FACE_UNDERLIT: Face too dark although the room isn't (and not backlit)
+ * - BLURRY: Picture out of focus or smeared for N consecutive samples
+ * - LOOKING_AWAY: Head turned past yaw/pitch limits for N consecutive samples
+ * - FACE_PARTIAL: Face box clipped by the frame edge
+ * - FACE_OFF_CENTER: Face center too far from the frame center
+ * - FACE_TOO_CLOSE / FACE_TOO_FAR: Face box area outside the expected range
+ * - FACE_CHANGED: Face no longer matches the enrolled reference for N checks
+ * - CAMERA_BLOCKED: Near-uniform dark or flat picture for N samples (covered
+ *   lens); replaces FACE_MISSING and LOW_LIGHT while raised
+ * - FRAME_FROZEN: Picture unchanged across N samples (frozen or looped feed)
+ * - TAB_HIDDEN / WINDOW_BLURRED / FULLSCREEN_EXITED: Browser environment
+ *   (event-driven via updateEnvironment, not sampled; durations recorded on clear)
+ * - CAMERA_LOST: Camera track ended or muted (same event-driven path, from useWebcam)
+ * - SPEECH_DETECTED / SUSTAINED_NOISE: Opt-in microphone voice-activity
+ *   monitor (same event-driven path, from voiceActivity.js)
+ *
+ * DURATIONS AND INTEGRITY:
+ * - Every flag change closes and opens episodes in flagStats (episodes,
+ *   time in state, longest episode, first/last occurrence); sample history
+ *   entries record how long each cleared flag lasted, like environment ones
+ * - getFlagDurations adds the still-open episodes; summarizeSession turns
+ *   them into an end-of-session summary with a weighted integrity score
+ *   (weights: policy `integrity` section, DEFAULT_INTEGRITY_WEIGHTS)
+ *
+ * EVENTS:
+ * - State stays pure; raisedAt keeps when each current flag was raised, so
+ *   getFlagChanges can turn two states into flag:raised / flag:cleared
+ *   payloads (with durations) for an event bus (see eventBus.js)
+ * - createFlagTracker holds the state for a session and emits those events
+ *   as each update is applied (hook, replay and headless callers alike)
+ *
+ * EVIDENCE:
+ * - Raising one of EVIDENCE_FLAGS (a sampled flag, so the frames match)
+ *   asks the page for thumbnails from frameProcessor.captureEvidence;
+ *   attachEvidence stores them on that transition's history entry
  */
 
+import { POLICY_PRESETS } from './policy.js';
+
+// Default thresholds: the `flags` section of the standard policy preset, so
+// the two can't drift apart (the constants below name single values of it)
+export const DEFAULT_THRESHOLDS = POLICY_PRESETS.standard.flags;
+
 // Number of consecutive "no face" samples before flagging FACE_MISSING
 // At 2 FPS, this means ~1.5 seconds of no face
-export const FACE_MISSING_THRESHOLD = 3;
+export const FACE_MISSING_THRESHOLD = DEFAULT_THRESHOLDS.faceMissingSamples;
 
 // Brightness threshold (0-255 scale)
 // Below this value, flag LOW_LIGHT
-export const LOW_LIGHT_THRESHOLD = 50;
+export const LOW_LIGHT_THRESHOLD = DEFAULT_THRESHOLDS.lowLightBrightness;
+
+// Background minus face brightness (0-255) from which the face counts as backlit
+export const BACKLIT_DIFFERENCE = DEFAULT_THRESHOLDS.backlitDifference;
+
+// Fraction of the frame clipped to white (0-1) above which to flag OVEREXPOSED
+export const OVEREXPOSED_FRACTION = DEFAULT_THRESHOLDS.overexposedFraction;
+
+// Face-region brightness (0-255) below which to flag FACE_UNDERLIT
+export const FACE_UNDERLIT_BRIGHTNESS = DEFAULT_THRESHOLDS.faceUnderlitBrightness;
+
+// Sharpness (Laplacian variance, see frameAnalysis.computeSharpness) below which a frame is blurry
+export const BLURRY_SHARPNESS = DEFAULT_THRESHOLDS.blurrySharpness;
+
+// Number of consecutive blurry samples before flagging BLURRY
+// At 2 FPS, this means ~2 seconds, so a quick head movement doesn't count
+export const BLURRY_SAMPLES = DEFAULT_THRESHOLDS.blurrySamples;
+
+// Head pose limits in degrees (absolute yaw/pitch, see headPose.js)
+// Beyond these the candidate is turned to the side or looking down
+export const LOOKING_AWAY_YAW_THRESHOLD = DEFAULT_THRESHOLDS.lookingAwayYawDegrees;
+export const LOOKING_AWAY_PITCH_THRESHOLD = DEFAULT_THRESHOLDS.lookingAwayPitchDegrees;
+
+// Number of consecutive turned-away samples before flagging LOOKING_AWAY
+// At 2 FPS, this means ~2 seconds of looking away
+export const LOOKING_AWAY_SAMPLES = DEFAULT_THRESHOLDS.lookingAwaySamples;
+
+// Face framing limits (normalized to frame size)
+// Margin inside which a box edge counts as clipped
+export const FACE_EDGE_MARGIN = DEFAULT_THRESHOLDS.faceEdgeMargin;
+// Max distance of the box center from the frame center, per axis
+export const FACE_OFF_CENTER_TOLERANCE = DEFAULT_THRESHOLDS.faceOffCenterTolerance;
+// Box area as a fraction of the frame area
+export const FACE_TOO_CLOSE_AREA = DEFAULT_THRESHOLDS.faceTooCloseArea;
+export const FACE_TOO_FAR_AREA = DEFAULT_THRESHOLDS.faceTooFarArea;
+
+// Number of consecutive samples before raising each framing flag
+export const FACE_PARTIAL_SAMPLES = DEFAULT_THRESHOLDS.facePartialSamples;
+export const FACE_OFF_CENTER_SAMPLES = DEFAULT_THRESHOLDS.faceOffCenterSamples;
+export const FACE_TOO_CLOSE_SAMPLES = DEFAULT_THRESHOLDS.faceTooCloseSamples;
+export const FACE_TOO_FAR_SAMPLES = DEFAULT_THRESHOLDS.faceTooFarSamples;
+
+// Identity similarity (0-1) below which a check counts as a different face
+export const FACE_CHANGED_SIMILARITY = DEFAULT_THRESHOLDS.faceChangedSimilarity;
+
+// Number of consecutive failed identity checks before flagging FACE_CHANGED
+// Checks run every few seconds (see frameProcessor identityCheckEvery)
+export const FACE_CHANGED_CHECKS = DEFAULT_THRESHOLDS.faceChangedChecks;
+
+// Frame contrast (luminance std dev, 0-255) below which the picture is flat
+export const CAMERA_BLOCKED_CONTRAST = DEFAULT_THRESHOLDS.cameraBlockedContrast;
+// Brightness below which the picture counts as blacked out, whatever its contrast
+export const CAMERA_BLOCKED_BRIGHTNESS = DEFAULT_THRESHOLDS.cameraBlockedBrightness;
+// Number of consecutive blocked samples before flagging CAMERA_BLOCKED
+export const CAMERA_BLOCKED_SAMPLES = DEFAULT_THRESHOLDS.cameraBlockedSamples;
+
+// Mean luminance-grid change (0-255) between samples below which nothing moved
+// Live sensors show noise well above this even in a still scene
+export const FRAME_FROZEN_CHANGE = DEFAULT_THRESHOLDS.frameFrozenChange;
+// Number of consecutive unchanged samples before flagging FRAME_FROZEN
+// At 2 FPS, this means ~3 seconds of identical frames
+export const FRAME_FROZEN_SAMPLES = DEFAULT_THRESHOLDS.frameFrozenSamples;
+
+// Flags raised by browser events (environmentMonitor, camera track events,
+// microphone monitor) rather than camera samples
+export const ENVIRONMENT_FLAGS = [
+    'TAB_HIDDEN', 'WINDOW_BLURRED', 'FULLSCREEN_EXITED', 'CAMERA_LOST', 'SPEECH_DETECTED', 'SUSTAINED_NOISE'
+];
+
+// updateEnvironment status key for each environment flag
+const ENVIRONMENT_STATUS_KEYS = {
+    TAB_HIDDEN: 'tabHidden',
+    WINDOW_BLURRED: 'windowBlurred',
+    FULLSCREEN_EXITED: 'fullscreenExited',
+    CAMERA_LOST: 'cameraLost',
+    SPEECH_DETECTED: 'speechDetected',
+    SUSTAINED_NOISE: 'sustainedNoise'
+};
+
+// Integrity score weights (policy `integrity` section): points per percent of the
+// session a flag was raised, times the flag's weight; episodePoints adds points
+// per episode (times the same weight), so many brief tab switches still count.
+// Defaults are the standard policy preset's, like DEFAULT_THRESHOLDS
+export const DEFAULT_INTEGRITY_WEIGHTS = POLICY_PRESETS.standard.integrity;
+
+// Integrity weight key for each flag weighted on its own (others use otherFlags)
+const INTEGRITY_WEIGHT_KEYS = {
+    MULTIPLE_FACES: 'multipleFaces',
+    FACE_CHANGED: 'faceChanged',
+    FACE_MISSING: 'faceMissing',
+    LOOKING_AWAY: 'lookingAway',
+    TAB_HIDDEN: 'tabHidden',
+    WINDOW_BLURRED: 'windowBlurred',
+    FULLSCREEN_EXITED: 'fullscreenExited',
+    CAMERA_LOST: 'cameraLost',
+    CAMERA_BLOCKED: 'cameraBlocked',
+    FRAME_FROZEN: 'frameFrozen',
+    SPEECH_DETECTED: 'speechDetected'
+};
+
+// Flags judged from the lighting measurement (held while it is skipped)
+const LIGHTING_FLAGS = ['BACKLIT', 'OVEREXPOSED', 'FACE_UNDERLIT'];
+
+// Flags styled and counted as errors; everything else but FACE_OK is a warning
+const ERROR_FLAGS = ['MULTIPLE_FACES', 'FACE_CHANGED', 'TAB_HIDDEN', 'CAMERA_LOST', 'CAMERA_BLOCKED', 'FRAME_FROZEN'];
+
+// Sampled flags whose raising is worth a picture (frameProcessor evidence ring)
+export const EVIDENCE_FLAGS = ['MULTIPLE_FACES', 'FACE_CHANGED', 'CAMERA_BLOCKED', 'FACE_MISSING'];
+
+// Flags measured from the single face's box (need analysis.faces)
+export const FRAMING_FLAGS = ['FACE_PARTIAL', 'FACE_OFF_CENTER', 'FACE_TOO_CLOSE', 'FACE_TOO_FAR'];
+
+// History entries kept in state (the session log keeps everything)
+const HISTORY_LIMIT = 20;
 
 /**
  * Create initial flag state
@@ -31,6 +187,15 @@ export function createInitialState() {
         currentFlags: [],
         faceCount: 0,
         consecutiveMissing: 0,
+        streaks: {}, // Consecutive-sample counters per debounced flag
+        headPose: null,
+        identitySimilarity: null, // Result of the latest identity check
+        lighting: null, // Latest lighting measurement (histogram, face/background brightness)
+        sharpness: null, // Latest focus measurement
+        environment: {}, // Active environment flags -> timestamp raised
+        raisedAt: {}, // Every current flag -> timestamp raised
+        flagStats: {}, // Flag -> closed-episode statistics (see trackFlagTiming)
+        startedAt: null, // First update (sample or environment change)
         lastUpdate: null,
         history: [] // Timestamped flag history (limited)
     };
@@ -40,13 +205,44 @@ export function createInitialState() {
  * Process analysis results and update flags
  * @param {Object} state - Current flag state
  * @param {Object} analysis - Analysis results from frame processor
+ * @param {Object} [thresholds=DEFAULT_THRESHOLDS] - Flag thresholds (policy `flags` section)
  * @returns {Object} New state with updated flags
  */
-export function processAnalysis(state, analysis) {
-    const { faceCount, brightness } = analysis;
-    const now = Date.now();
+export function processAnalysis(state, analysis, thresholds = DEFAULT_THRESHOLDS) {
+    const {
+        faceCount,
+        brightness = null,
+        frameContrast = null,
+        frameChange = null,
+        lighting = null,
+        sharpness = null,
+        faces = [],
+        headPose = null,
+        identitySimilarity = null
+    } = analysis;
+    // Sample time when provided (replay clocks), otherwise wall time
+    const now = analysis.timestamp ?? Date.now();
     const newFlags = [];
     let consecutiveMissing = state.consecutiveMissing;
+    const streaks = { ...state.streaks };
+
+    // Check the picture itself (null = not measured this sample, the streak holds)
+    if (frameContrast !== null) {
+        const blocked = frameContrast < thresholds.cameraBlockedContrast ||
+            (brightness !== null && brightness < thresholds.cameraBlockedBrightness);
+        streaks.CAMERA_BLOCKED = blocked ? (streaks.CAMERA_BLOCKED || 0) + 1 : 0;
+    }
+    if (frameChange !== null) {
+        streaks.FRAME_FROZEN = frameChange < thresholds.frameFrozenChange ? (streaks.FRAME_FROZEN || 0) + 1 : 0;
+    }
+    const cameraBlocked = (streaks.CAMERA_BLOCKED || 0) >= thresholds.cameraBlockedSamples;
+    if (cameraBlocked) {
+        newFlags.push('CAMERA_BLOCKED');
+    }
+    // A flat picture never changes, so it only counts as blocked
+    else if ((streaks.FRAME_FROZEN || 0) >= thresholds.frameFrozenSamples) {
+        newFlags.push('FRAME_FROZEN');
+    }
 
     // Check for multiple faces (immediate flag)
     if (faceCount > 1) {
@@ -56,7 +252,8 @@ export function processAnalysis(state, analysis) {
     // Check for face presence
     else if (faceCount === 0) {
         consecutiveMissing++;
-        if (consecutiveMissing >= FACE_MISSING_THRESHOLD) {
+        // Nobody can be seen through a covered lens; CAMERA_BLOCKED says why
+        if (consecutiveMissing >= thresholds.faceMissingSamples && !cameraBlocked) {
             newFlags.push('FACE_MISSING');
         }
     }
@@ -66,38 +263,377 @@ export function processAnalysis(state, analysis) {
         newFlags.push('FACE_OK');
     }
 
-    // Check lighting (independent of face detection)
-    if (brightness < LOW_LIGHT_THRESHOLD) {
+    // Check head pose (only meaningful with exactly one face)
+    const lookingAway = faceCount === 1 && headPose !== null && isLookingAway(headPose, thresholds);
+    trackStreak(streaks, 'LOOKING_AWAY', lookingAway, thresholds.lookingAwaySamples, newFlags);
+
+    // Check framing of the single face
+    const box = faceCount === 1 ? faces[0]?.box ?? null : null;
+    const framing = box ? measureFraming(box, thresholds) : null;
+    trackStreak(streaks, 'FACE_PARTIAL', framing?.partial ?? false, thresholds.facePartialSamples, newFlags);
+    trackStreak(streaks, 'FACE_OFF_CENTER', framing?.offCenter ?? false, thresholds.faceOffCenterSamples, newFlags);
+    trackStreak(streaks, 'FACE_TOO_CLOSE', framing?.tooClose ?? false, thresholds.faceTooCloseSamples, newFlags);
+    trackStreak(streaks, 'FACE_TOO_FAR', framing?.tooFar ?? false, thresholds.faceTooFarSamples, newFlags);
+
+    // Check identity (only on samples where a comparison ran; the flag holds between checks)
+    if (identitySimilarity !== null) {
+        streaks.FACE_CHANGED = identitySimilarity < thresholds.faceChangedSimilarity
+            ? (streaks.FACE_CHANGED || 0) + 1
+            : 0;
+    }
+    if ((streaks.FACE_CHANGED || 0) >= thresholds.faceChangedChecks) {
+        newFlags.push('FACE_CHANGED');
+    }
+    const latestSimilarity = identitySimilarity ?? state.identitySimilarity;
+
+    // Check lighting (independent of face detection; null = not measured, keep the last result)
+    const lowLight = brightness !== null
+        ? brightness < thresholds.lowLightBrightness
+        : state.currentFlags.includes('LOW_LIGHT');
+    if (lowLight && !cameraBlocked) {
         newFlags.push('LOW_LIGHT');
     }
 
+    // Check lighting around the face (null = not measured, keep the last results)
+    const lightingFlags = lighting !== null
+        ? judgeLighting(lighting, faceCount === 1, lowLight, thresholds)
+        : state.currentFlags.filter((flag) => LIGHTING_FLAGS.includes(flag));
+    if (!cameraBlocked) {
+        newFlags.push(...lightingFlags);
+    }
+
+    // Check focus (null = not measured, the streak holds). Dark and flat
+    // frames have little detail anyway; LOW_LIGHT/CAMERA_BLOCKED explain those
+    if (sharpness !== null) {
+        streaks.BLURRY = sharpness < thresholds.blurrySharpness && !lowLight && !cameraBlocked
+            ? (streaks.BLURRY || 0) + 1
+            : 0;
+    }
+    if ((streaks.BLURRY || 0) >= thresholds.blurrySamples) {
+        newFlags.push('BLURRY');
+    }
+
+    // Environment flags persist between samples until the monitor clears them
+    newFlags.push(...ENVIRONMENT_FLAGS.filter((flag) => flag in state.environment));
+
     // Update history only if flags changed
     const flagsChanged = !arraysEqual(state.currentFlags, newFlags);
     let history = state.history;
 
+    const timing = flagsChanged ? trackFlagTiming(state, newFlags, now) : null;
+
     if (flagsChanged) {
-        history = [
-            ...state.history.slice(-19),
-            {
-                timestamp: now,
-                flags: newFlags,
-                details: {
-                    faceCount,
-                    brightness: Math.round(brightness)
-                }
+        history = appendHistory(state.history, {
+            timestamp: now,
+            flags: newFlags,
+            details: {
+                faceCount,
+                brightness: brightness !== null ? Math.round(brightness) : null,
+                contrast: frameContrast !== null ? Math.round(frameContrast * 10) / 10 : null,
+                frameChange: frameChange !== null ? Math.round(frameChange * 100) / 100 : null,
+                faceBrightness: lighting?.faceBrightness != null ? Math.round(lighting.faceBrightness) : null,
+                backgroundBrightness: lighting?.backgroundBrightness != null ? Math.round(lighting.backgroundBrightness) : null,
+                highlights: lighting ? lighting.highlights : null,
+                sharpness: sharpness !== null ? Math.round(sharpness) : null,
+                // Per-face confidence, to explain MULTIPLE_FACES reports
+                scores: faces
+                    .filter(face => face.score !== null)
+                    .map(face => Math.round(face.score * 100) / 100),
+                yaw: headPose ? Math.round(headPose.yaw) : null,
+                pitch: headPose ? Math.round(headPose.pitch) : null,
+                faceArea: framing ? Math.round(framing.area * 1000) / 1000 : null,
+                similarity: latestSimilarity !== null ? Math.round(latestSimilarity * 100) / 100 : null,
+                // How long each flag cleared by this sample was raised
+                durations: timing.durations
             }
-        ];
+        });
     }
 
     return {
         currentFlags: newFlags,
         faceCount,
         consecutiveMissing,
+        streaks,
+        headPose,
+        identitySimilarity: latestSimilarity,
+        lighting: lighting ?? state.lighting,
+        sharpness: sharpness ?? state.sharpness,
+        environment: state.environment,
+        raisedAt: timing ? timing.raisedAt : state.raisedAt,
+        flagStats: timing ? timing.flagStats : state.flagStats,
+        startedAt: state.startedAt ?? now,
         lastUpdate: now,
         history
     };
 }
 
+/**
+ * Apply an environment status (tab, focus, fullscreen, camera, microphone)
+ * Raises/clears the environment flags immediately; the history entry for a
+ * change carries how long each cleared flag lasted. Keys missing from
+ * `status` leave their flag as it is, so each source can report its own part.
+ * @param {Object} state - Current flag state
+ * @param {Object} status - Any of { tabHidden, windowBlurred, fullscreenExited, cameraLost, speechDetected, sustainedNoise }
+ * @param {number} [now=Date.now()]
+ * @returns {Object} New state
+ */
+export function updateEnvironment(state, status, now = Date.now()) {
+    const environment = {};
+    const durations = {};
+
+    for (const flag of ENVIRONMENT_FLAGS) {
+        const key = ENVIRONMENT_STATUS_KEYS[flag];
+        const isActive = key in status ? Boolean(status[key]) : flag in state.environment;
+        if (isActive) {
+            environment[flag] = state.environment[flag] ?? now;
+        } else if (flag in state.environment) {
+            durations[flag] = now - state.environment[flag];
+        }
+    }
+
+    const currentFlags = [
+        ...state.currentFlags.filter((flag) => !ENVIRONMENT_FLAGS.includes(flag)),
+        ...ENVIRONMENT_FLAGS.filter((flag) => flag in environment)
+    ];
+    if (arraysEqual(state.currentFlags, currentFlags)) {
+        return state;
+    }
+    const { raisedAt, flagStats, startedAt } = trackFlagTiming(state, currentFlags, now);
+
+    return {
+        ...state,
+        currentFlags,
+        environment,
+        raisedAt,
+        flagStats,
+        startedAt,
+        lastUpdate: now,
+        history: appendHistory(state.history, {
+            timestamp: now,
+            flags: currentFlags,
+            details: { source: 'environment', durations }
+        })
+    };
+}
+
+/**
+ * Add a clipboard action (copy, cut, paste) to the flag history
+ * Flags are unchanged; the entry marks when it happened.
+ * @param {Object} state - Current flag state
+ * @param {string} action - 'copy' | 'cut' | 'paste'
+ * @param {number} [now=Date.now()]
+ * @returns {Object} New state
+ */
+export function recordClipboard(state, action, now = Date.now()) {
+    return {
+        ...state,
+        history: appendHistory(state.history, {
+            timestamp: now,
+            flags: state.currentFlags,
+            event: 'CLIPBOARD',
+            details: { action }
+        })
+    };
+}
+
+/**
+ * Add a frameProcessor degradation transition to the flag history
+ * Flags are unchanged; the entry explains slower or coarser samples around it.
+ * @param {Object} state - Current flag state
+ * @param {Object} transition - onDegradationChange payload
+ * @param {number} [now=transition.timestamp] - Entry time; defaults to the processor clock's
+ * @returns {Object} New state
+ */
+export function recordDegradation(state, transition, now = transition.timestamp ?? Date.now()) {
+    return {
+        ...state,
+        history: appendHistory(state.history, {
+            timestamp: now,
+            flags: state.currentFlags,
+            event: transition.level > transition.previousLevel ? 'DEGRADED' : 'RECOVERED',
+            details: {
+                level: transition.level,
+                label: transition.label,
+                intervalMs: transition.intervalMs,
+                reason: transition.reason
+            }
+        })
+    };
+}
+
+/**
+ * Find the evidence flags a transition raised
+ * @param {string[]} previousFlags - Flags before the transition
+ * @param {string[]} currentFlags - Flags after it
+ * @param {string[]} [evidenceFlags=EVIDENCE_FLAGS] - Flags that call for evidence
+ * @returns {string[]} Newly raised evidence flags (empty if none)
+ */
+export function getEvidenceTriggers(previousFlags, currentFlags, evidenceFlags = EVIDENCE_FLAGS) {
+    return currentFlags.filter((flag) => evidenceFlags.includes(flag) && !previousFlags.includes(flag));
+}
+
+/**
+ * Describe how the flags changed between two states, as event payloads
+ * Cleared flags come first and carry how long they were raised.
+ * @param {Object} previousState - Flag state before an update
+ * @param {Object} state - Flag state after it
+ * @returns {Array<Object>} [{ type: 'flag:raised' | 'flag:cleared', payload }] (empty if unchanged)
+ */
+export function getFlagChanges(previousState, state) {
+    const previousFlags = previousState.currentFlags;
+    const { currentFlags: flags } = state;
+    if (previousFlags === flags) {
+        return [];
+    }
+    const timestamp = state.lastUpdate ?? Date.now();
+
+    const cleared = previousFlags.filter((flag) => !flags.includes(flag)).map((flag) => {
+        const raisedAt = previousState.raisedAt?.[flag] ?? null;
+        return {
+            type: 'flag:cleared',
+            payload: {
+                flag,
+                severity: getFlagSeverity(flag),
+                timestamp,
+                raisedAt,
+                durationMs: raisedAt !== null ? timestamp - raisedAt : null,
+                flags
+            }
+        };
+    });
+    const raised = flags.filter((flag) => !previousFlags.includes(flag)).map((flag) => ({
+        type: 'flag:raised',
+        payload: { flag, severity: getFlagSeverity(flag), timestamp, flags }
+    }));
+    return [...cleared, ...raised];
+}
+
+/**
+ * Create a flag tracker: the current flag state plus its event emission
+ * Every update (processAnalysis, updateEnvironment, ...) goes through apply(),
+ * which emits that update's flag changes right away, so each transition is
+ * emitted exactly once however the caller batches its own re-renders.
+ * @param {Object} [options]
+ * @param {Object} [options.events] - createEventBus() instance for flag:raised / flag:cleared
+ * @returns {Object} Tracker ({ getState, apply, reset })
+ */
+export function createFlagTracker({ events } = {}) {
+    let state = createInitialState();
+
+    /**
+     * Apply an update and emit its flag changes
+     * @param {Function} update - (state) => new state
+     * @returns {Object} New state
+     */
+    function apply(update) {
+        const previous = state;
+        state = update(previous);
+        if (events && state !== previous) {
+            for (const { type, payload } of getFlagChanges(previous, state)) {
+                events.emit(type, payload);
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Start over from an initial state; flags still raised end without flag:cleared
+     * @returns {Object} New state
+     */
+    function reset() {
+        state = createInitialState();
+        return state;
+    }
+
+    return {
+        getState: () => state,
+        apply,
+        reset
+    };
+}
+
+/**
+ * Per-flag durations, including episodes still open at `now`
+ * @param {Object} state - Flag state
+ * @param {number} [now=state.lastUpdate] - End of the open episodes (e.g. when the session stopped)
+ * @returns {Object} Flag -> { episodes, totalMs, longestMs, firstRaisedAt, lastRaisedAt, lastClearedAt, active }
+ */
+export function getFlagDurations(state, now = state.lastUpdate ?? Date.now()) {
+    const durations = {};
+    for (const [flag, stats] of Object.entries(state.flagStats)) {
+        const since = state.raisedAt[flag];
+        const openMs = since !== undefined ? Math.max(now - since, 0) : 0;
+        durations[flag] = {
+            ...stats,
+            totalMs: stats.totalMs + openMs,
+            longestMs: Math.max(stats.longestMs, openMs),
+            active: since !== undefined
+        };
+    }
+    return durations;
+}
+
+/**
+ * Summarize a session: per-flag durations and a weighted integrity score
+ * score = 100 - sum over flags of weight * (percent of session raised + episodePoints * episodes),
+ * floored at 0. FACE_OK carries no weight.
+ * @param {Object} state - Flag state at the end of the session
+ * @param {Object} [weights=DEFAULT_INTEGRITY_WEIGHTS] - Policy `integrity` section
+ * @param {number} [endedAt=state.lastUpdate] - When the session stopped
+ * @returns {Object} { startedAt, endedAt, durationMs, score, flags: [{ flag, severity, weight, share, penalty, ... }] }
+ *   flags sorted by penalty, then time in state
+ */
+export function summarizeSession(state, weights = DEFAULT_INTEGRITY_WEIGHTS, endedAt = state.lastUpdate ?? Date.now()) {
+    const startedAt = state.startedAt ?? endedAt;
+    const durationMs = Math.max(endedAt - startedAt, 0);
+    const resolved = { ...DEFAULT_INTEGRITY_WEIGHTS, ...weights };
+
+    const flags = Object.entries(getFlagDurations(state, endedAt)).map(([flag, stats]) => {
+        const severity = getFlagSeverity(flag);
+        const weight = severity === 'ok' ? 0 : resolved[INTEGRITY_WEIGHT_KEYS[flag]] ?? resolved.otherFlags;
+        const share = durationMs > 0 ? Math.min(stats.totalMs / durationMs, 1) : 0;
+        return {
+            flag,
+            severity,
+            ...stats,
+            share,
+            weight,
+            penalty: weight * (share * 100 + resolved.episodePoints * stats.episodes)
+        };
+    }).sort((a, b) => b.penalty - a.penalty || b.totalMs - a.totalMs);
+
+    const penalty = flags.reduce((sum, entry) => sum + entry.penalty, 0);
+    return {
+        startedAt,
+        endedAt,
+        durationMs,
+        score: Math.max(Math.round(100 - penalty), 0),
+        weights: resolved,
+        flags
+    };
+}
+
+/**
+ * Attach evidence thumbnails to the sample transition at `timestamp`
+ * Returns the state unchanged if that entry has already left the history.
+ * @param {Object} state - Current flag state
+ * @param {number} timestamp - Timestamp of the transition's history entry
+ * @param {Object} evidence - { flags, frames: [{ timestamp, dataUrl }] }
+ * @returns {Object} New state
+ */
+export function attachEvidence(state, timestamp, evidence) {
+    const index = state.history.findIndex((entry) =>
+        entry.timestamp === timestamp && !entry.event && entry.details.source !== 'environment'
+    );
+    if (index === -1) {
+        return state;
+    }
+
+    const history = [...state.history];
+    history[index] = { ...history[index], evidence };
+    return { ...state, history };
+}
+
 /**
  * Get human-readable message for a flag
  * @param {string} flag - Flag type
@@ -108,7 +644,25 @@ export function getFlagMessage(flag) {
         'FACE_OK': 'Face detected',
         'FACE_MISSING': 'Warning: Face not detected',
         'MULTIPLE_FACES': 'Error: Multiple faces detected',
-        'LOW_LIGHT': 'Warning: Low lighting'
+        'LOW_LIGHT': 'Warning: Low lighting',
+        'BACKLIT': 'Warning: Strong light behind candidate',
+        'OVEREXPOSED': 'Warning: Picture overexposed',
+        'FACE_UNDERLIT': 'Warning: Face poorly lit',
+        'BLURRY': 'Warning: Camera image blurry (clean or refocus the lens)',
+        'LOOKING_AWAY': 'Warning: Looking away from screen',
+        'FACE_PARTIAL': 'Warning: Face partially out of frame',
+        'FACE_OFF_CENTER': 'Warning: Face not centered',
+        'FACE_TOO_CLOSE': 'Warning: Too close to camera',
+        'FACE_TOO_FAR': 'Warning: Too far from camera',
+        'FACE_CHANGED': 'Error: Face does not match enrolled candidate',
+        'TAB_HIDDEN': 'Error: Exam tab hidden',
+        'WINDOW_BLURRED': 'Warning: Exam window lost focus',
+        'FULLSCREEN_EXITED': 'Warning: Left fullscreen exam mode',
+        'CAMERA_LOST': 'Error: Camera lost',
+        'CAMERA_BLOCKED': 'Error: Camera covered or blacked out',
+        'FRAME_FROZEN': 'Error: Camera picture frozen',
+        'SPEECH_DETECTED': 'Warning: Speech detected',
+        'SUSTAINED_NOISE': 'Warning: Sustained background noise'
     };
     return messages[flag] || flag;
 }
@@ -120,10 +674,125 @@ export function getFlagMessage(flag) {
  */
 export function getFlagSeverity(flag) {
     if (flag === 'FACE_OK') return 'ok';
-    if (flag === 'MULTIPLE_FACES') return 'error';
+    if (ERROR_FLAGS.includes(flag)) return 'error';
     return 'warning';
 }
 
+/**
+ * Get the most severe level among a set of flags
+ * An empty set (face lost, FACE_MISSING not yet reached) counts as a warning.
+ * @param {string[]} flags - Flag types
+ * @returns {string} 'ok', 'warning', or 'error'
+ */
+export function getWorstSeverity(flags) {
+    if (flags.length === 0) return 'warning';
+    const levels = flags.map(getFlagSeverity);
+    if (levels.includes('error')) return 'error';
+    if (levels.includes('warning')) return 'warning';
+    return 'ok';
+}
+
+/**
+ * Helper: Append a history entry, keeping the last HISTORY_LIMIT
+ */
+function appendHistory(history, entry) {
+    return [...history.slice(-(HISTORY_LIMIT - 1)), entry];
+}
+
+/**
+ * Helper: Close episodes of cleared flags and open episodes of new ones at `now`
+ * @returns {Object} { raisedAt, flagStats, startedAt, durations } (durations: cleared flag -> ms raised)
+ */
+function trackFlagTiming(state, flags, now) {
+    const raisedAt = {};
+    const flagStats = { ...state.flagStats };
+    const durations = {};
+
+    for (const flag of flags) {
+        raisedAt[flag] = state.raisedAt[flag] ?? now;
+        if (!(flag in state.raisedAt)) {
+            const stats = flagStats[flag] ??
+                { episodes: 0, totalMs: 0, longestMs: 0, firstRaisedAt: now, lastRaisedAt: null, lastClearedAt: null };
+            flagStats[flag] = { ...stats, episodes: stats.episodes + 1, lastRaisedAt: now };
+        }
+    }
+    for (const [flag, since] of Object.entries(state.raisedAt)) {
+        if (!(flag in raisedAt)) {
+            const stats = flagStats[flag];
+            durations[flag] = now - since;
+            flagStats[flag] = {
+                ...stats,
+                totalMs: stats.totalMs + durations[flag],
+                longestMs: Math.max(stats.longestMs, durations[flag]),
+                lastClearedAt: now
+            };
+        }
+    }
+
+    return { raisedAt, flagStats, startedAt: state.startedAt ?? now, durations };
+}
+
+/**
+ * Helper: Check if head pose exceeds the looking-away limits
+ */
+function isLookingAway(headPose, thresholds) {
+    return Math.abs(headPose.yaw) > thresholds.lookingAwayYawDegrees ||
+        Math.abs(headPose.pitch) > thresholds.lookingAwayPitchDegrees;
+}
+
+/**
+ * Helper: Measure how a normalized face box sits in the frame
+ */
+function measureFraming(box, thresholds) {
+    const margin = thresholds.faceEdgeMargin;
+    const centerX = box.x + box.width / 2;
+    const centerY = box.y + box.height / 2;
+    const area = box.width * box.height;
+
+    return {
+        area,
+        partial: box.x < margin || box.y < margin ||
+            box.x + box.width > 1 - margin || box.y + box.height > 1 - margin,
+        offCenter: Math.max(Math.abs(centerX - 0.5), Math.abs(centerY - 0.5)) > thresholds.faceOffCenterTolerance,
+        tooClose: area > thresholds.faceTooCloseArea,
+        tooFar: area < thresholds.faceTooFarArea
+    };
+}
+
+/**
+ * Helper: Lighting flags for one measurement
+ * Face-based checks need exactly one face; FACE_UNDERLIT is left out when
+ * backlight or low light already explains a dark face.
+ */
+function judgeLighting(lighting, hasSingleFace, lowLight, thresholds) {
+    const flags = [];
+    const face = hasSingleFace ? lighting.faceBrightness : null;
+    const backlit = face !== null && lighting.backgroundBrightness !== null &&
+        lighting.backgroundBrightness - face >= thresholds.backlitDifference;
+
+    if (backlit) {
+        flags.push('BACKLIT');
+    }
+    if (lighting.highlights > thresholds.overexposedFraction) {
+        flags.push('OVEREXPOSED');
+    }
+    if (face !== null && face < thresholds.faceUnderlitBrightness && !backlit && !lowLight) {
+        flags.push('FACE_UNDERLIT');
+    }
+    return flags;
+}
+
+/**
+ * Helper: Advance a flag's consecutive-sample counter and raise the flag
+ * once the condition has held for `samples` samples (mutates `streaks`)
+ */
+function trackStreak(streaks, flag, active, samples, newFlags) {
+    streaks[flag] = active ? (streaks[flag] || 0) + 1 : 0;
+    if (streaks[flag] >= samples) {
+        newFlags.push(flag);
+    }
+}
+
 /**
  * Helper: Check if two arrays have the same elements
  */
@@ -0,0 +1,268 @@
+/**
+ * frameAnalysis.js - Per-frame analysis shared by main-thread and worker modes
+ *
+ * DESIGN DECISIONS:
+ * - One implementation of "detect + measure + identity" so the worker and
+ *   the main thread can never drift apart in what they report
+ * - No imports and no DOM access: works in the page, in a worker and in Node
+ * - Identity decisions (when to enroll/compare) are made by the caller and
+ *   passed in as a plan; this module only executes them
+ * - One pixel readback per sample yields brightness and a frame signature
+ *   (coarse luminance grid + contrast); comparing consecutive signatures
+ *   catches frozen feeds, contrast catches covered lenses
+ * - Lighting is judged around the face, not just frame-wide: a luminance
+ *   histogram plus face-box vs background brightness, so a silhouette in
+ *   front of a bright window doesn't average out as "fine"
+ * - Sharpness is the variance of a Laplacian over a ~160px-wide grid of the
+ *   whole frame, so it means the same at every capture size and doesn't
+ *   depend on a face being found
+ */
+
+// Sample every Nth pixel for brightness (speed over precision)
+const BRIGHTNESS_SAMPLE_STEP = 10;
+
+// Frame signature: mean luminance of an N x N grid of cells
+export const SIGNATURE_GRID_SIZE = 8;
+// Sample every Nth pixel along each axis for the signature
+const SIGNATURE_PIXEL_STEP = 4;
+
+// Lighting: luminance histogram bins, and the level from which a pixel counts as clipped
+export const HISTOGRAM_BINS = 16;
+const HIGHLIGHT_LEVEL = 245;
+// Sample every Nth pixel along each axis for lighting
+const LIGHTING_PIXEL_STEP = 4;
+
+/**
+ * Calculate average brightness of a frame
+ * Cheap operation: samples a subset of pixels
+ * @param {ImageData} imageData - RGBA pixels
+ * @returns {number} Average brightness (0-255)
+ */
+export function calculateBrightness(imageData) {
+    const data = imageData.data;
+
+    let totalBrightness = 0;
+    let sampleCount = 0;
+
+    for (let i = 0; i < data.length; i += 4 * BRIGHTNESS_SAMPLE_STEP) {
+        // Luminance formula (perceived brightness)
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        totalBrightness += 0.299 * r + 0.587 * g + 0.114 * b;
+        sampleCount++;
+    }
+
+    return sampleCount > 0 ? totalBrightness / sampleCount : 0;
+}
+
+/**
+ * Compute a frame signature: coarse luminance grid, mean and contrast
+ * Cheap operation: samples every 4th pixel in each direction
+ * @param {ImageData} imageData - RGBA pixels
+ * @param {number} [gridSize=SIGNATURE_GRID_SIZE] - Cells per axis
+ * @returns {Object} { width, height, grid: Float32Array (0-255 per cell), mean, contrast (luminance std dev) }
+ */
+export function computeFrameSignature(imageData, gridSize = SIGNATURE_GRID_SIZE) {
+    const { data, width, height } = imageData;
+    const sums = new Float32Array(gridSize * gridSize);
+    const counts = new Uint32Array(gridSize * gridSize);
+
+    let total = 0;
+    let totalSquares = 0;
+    let sampleCount = 0;
+
+    for (let y = 0; y < height; y += SIGNATURE_PIXEL_STEP) {
+        const row = Math.floor(y * gridSize / height) * gridSize;
+        for (let x = 0; x < width; x += SIGNATURE_PIXEL_STEP) {
+            const luminance = luminanceAt(data, (y * width + x) * 4);
+            const cell = row + Math.floor(x * gridSize / width);
+            sums[cell] += luminance;
+            counts[cell]++;
+            total += luminance;
+            totalSquares += luminance * luminance;
+            sampleCount++;
+        }
+    }
+
+    const grid = sums.map((sum, cell) => counts[cell] > 0 ? sum / counts[cell] : 0);
+    const mean = sampleCount > 0 ? total / sampleCount : 0;
+    const variance = sampleCount > 0 ? Math.max(totalSquares / sampleCount - mean * mean, 0) : 0;
+
+    return { width, height, grid, mean, contrast: Math.sqrt(variance) };
+}
+
+/**
+ * Measure how much the picture changed between two signatures
+ * @param {Object|null} previous - Earlier signature
+ * @param {Object|null} current - Later signature
+ * @returns {number|null} Mean absolute cell difference (0-255), or null if not comparable
+ */
+export function compareFrameSignatures(previous, current) {
+    if (!previous || !current || previous.width !== current.width ||
+        previous.height !== current.height || previous.grid.length !== current.grid.length) {
+        return null;
+    }
+
+    let difference = 0;
+    for (let i = 0; i < current.grid.length; i++) {
+        difference += Math.abs(current.grid[i] - previous.grid[i]);
+    }
+    return difference / current.grid.length;
+}
+
+// Width of the sampling grid for sharpness (frames are sampled down to about this)
+const SHARPNESS_GRID_WIDTH = 160;
+
+/**
+ * Measure focus as the variance of a 4-neighbour Laplacian
+ * Sharp edges give large responses, blur flattens them towards 0.
+ * @param {ImageData} imageData - RGBA pixels
+ * @returns {number} Laplacian variance (higher = sharper; typically under 20 when blurry)
+ */
+export function computeSharpness(imageData) {
+    const { data, width, height } = imageData;
+    const step = Math.max(1, Math.round(width / SHARPNESS_GRID_WIDTH));
+    const rowStride = width * 4 * step;
+    const columnStride = 4 * step;
+
+    let total = 0;
+    let totalSquares = 0;
+    let sampleCount = 0;
+
+    for (let y = step; y < height - step; y += step) {
+        for (let x = step; x < width - step; x += step) {
+            const i = (y * width + x) * 4;
+            const laplacian = luminanceAt(data, i - rowStride) + luminanceAt(data, i + rowStride) +
+                luminanceAt(data, i - columnStride) + luminanceAt(data, i + columnStride) -
+                4 * luminanceAt(data, i);
+            total += laplacian;
+            totalSquares += laplacian * laplacian;
+            sampleCount++;
+        }
+    }
+
+    if (sampleCount === 0) {
+        return 0;
+    }
+    const mean = total / sampleCount;
+    return Math.max(totalSquares / sampleCount - mean * mean, 0);
+}
+
+/**
+ * Measure lighting: luminance histogram, clipped highlights, and face vs background brightness
+ * Cheap operation: samples every 4th pixel in each direction
+ * @param {ImageData} imageData - RGBA pixels
+ * @param {Object|null} [box=null] - Normalized face box ({ x, y, width, height }); null for frame-wide stats only
+ * @returns {Object} { histogram (fraction per bin, 3 decimals), highlights (clipped fraction 0-1),
+ *   faceBrightness (null without a box), backgroundBrightness }
+ */
+export function computeLighting(imageData, box = null) {
+    const { data, width, height } = imageData;
+    const counts = new Uint32Array(HISTOGRAM_BINS);
+    const face = box && {
+        left: box.x * width,
+        top: box.y * height,
+        right: (box.x + box.width) * width,
+        bottom: (box.y + box.height) * height
+    };
+
+    let highlights = 0;
+    let sampleCount = 0;
+    let faceTotal = 0;
+    let faceSamples = 0;
+    let backgroundTotal = 0;
+    let backgroundSamples = 0;
+
+    for (let y = 0; y < height; y += LIGHTING_PIXEL_STEP) {
+        for (let x = 0; x < width; x += LIGHTING_PIXEL_STEP) {
+            const luminance = luminanceAt(data, (y * width + x) * 4);
+            counts[Math.min(Math.floor(luminance * HISTOGRAM_BINS / 256), HISTOGRAM_BINS - 1)]++;
+            if (luminance >= HIGHLIGHT_LEVEL) {
+                highlights++;
+            }
+            sampleCount++;
+
+            if (face && x >= face.left && x < face.right && y >= face.top && y < face.bottom) {
+                faceTotal += luminance;
+                faceSamples++;
+            } else {
+                backgroundTotal += luminance;
+                backgroundSamples++;
+            }
+        }
+    }
+
+    const fraction = (count) => sampleCount > 0 ? Math.round(count / sampleCount * 1000) / 1000 : 0;
+
+    return {
+        histogram: Array.from(counts, fraction),
+        highlights: fraction(highlights),
+        faceBrightness: faceSamples > 0 ? faceTotal / faceSamples : null,
+        backgroundBrightness: backgroundSamples > 0 ? backgroundTotal / backgroundSamples : null
+    };
+}
+
+/**
+ * Run detection, pixel measurements (unless skipped) and the planned identity step on one frame
+ * @param {Object} params
+ * @param {HTMLCanvasElement|OffscreenCanvas} params.frame - Captured frame
+ * @param {CanvasRenderingContext2D} params.ctx - 2D context of the frame
+ * @param {Object} params.detector - Detector backend
+ * @param {Object} [params.identity] - Identity backend
+ * @param {Object} params.identityState - Mutable { reference } owned by the caller
+ * @param {Object} params.plan - { enroll, compare } for this sample
+ * @param {boolean} [params.measureBrightness=true] - false skips the pixel readback (brightness, signature, lighting and sharpness are null)
+ * @returns {Promise<Object>} { faceDetection, brightness, signature, lighting, sharpness, identityOutcome: { enrolled, similarity } }
+ */
+export async function analyzeFrame({ frame, ctx, detector, identity, identityState, plan, measureBrightness = true }) {
+    const faceDetection = await detector.detect(frame);
+    let brightness = null;
+    let signature = null;
+    let lighting = null;
+    let sharpness = null;
+    if (measureBrightness) {
+        const imageData = ctx.getImageData(0, 0, frame.width, frame.height);
+        brightness = calculateBrightness(imageData);
+        signature = computeFrameSignature(imageData);
+        // Face-region lighting only for a single candidate
+        lighting = computeLighting(imageData, faceDetection.count === 1 ? faceDetection.faces[0].box ?? null : null);
+        sharpness = computeSharpness(imageData);
+    }
+    const identityOutcome = await runIdentity(identity, identityState, frame, faceDetection, plan);
+
+    return { faceDetection, brightness, signature, lighting, sharpness, identityOutcome };
+}
+
+/**
+ * Enroll or compare the single visible face according to the plan
+ * Only runs with exactly one face, so a second person can't be enrolled.
+ * @returns {Promise<Object>} { enrolled, similarity }
+ */
+async function runIdentity(identity, identityState, frame, faceDetection, plan) {
+    const none = { enrolled: false, similarity: null };
+    if (!identity || faceDetection.count !== 1 || !faceDetection.faces[0].box) {
+        return none;
+    }
+
+    const box = faceDetection.faces[0].box;
+
+    if (plan.enroll) {
+        identityState.reference = await identity.embed(frame, box);
+        return { enrolled: true, similarity: null };
+    }
+
+    if (plan.compare && identityState.reference) {
+        const current = await identity.embed(frame, box);
+        return { enrolled: false, similarity: identity.compare(identityState.reference, current) };
+    }
+
+    return none;
+}
+
+/**
+ * Helper: Perceived luminance of the pixel at byte offset i
+ */
+function luminanceAt(data, i) {
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
@@ -4,59 +4,229 @@
  * DESIGN DECISIONS:
  * - setInterval-based sampling (NOT requestAnimationFrame)
  * - Processing time measurement for each cycle
- * - Auto-disable if processing consistently exceeds budget
+ * - Degradation ladder if processing consistently exceeds budget: slower
+ *   sampling, then a smaller capture, then no brightness readback; steps
+ *   back up once processing has headroom again. Disabling is the last resort
  * - OffscreenCanvas for frame capture when available
+ * - Detector is an injected backend (see lib/detectors/), so the pipeline
+ *   runs headlessly with the fake backend and a fake video source
+ * - Optional identity backend: enrolls a reference face on start, then
+ *   compares the single visible face every N samples (FACE_CHANGED)
+ * - Optional worker mode: frames go to a dedicated worker as ImageBitmaps and
+ *   detection/brightness/identity run there (lib/workerAnalyzer.js); the
+ *   injected main-thread detector is the fallback if the worker fails to start
+ * - Replay drives sampling itself through step() and an injected clock, so a
+ *   recording yields the same timeline regardless of machine speed
+ * - Per-frame work lives in frameAnalysis.js, shared by both modes; imports
+ *   carry explicit .js extensions so headless Node runs can load this module
+ * - Each sample's frame signature is compared with the previous sample's
+ *   here (frameChange), so frozen feeds show up without keeping frames around
+ * - Optional evidence ring: a few tiny thumbnails of the latest samples,
+ *   JPEG-encoded only when the caller asks (captureEvidence) after a severe
+ *   flag, so reviewers can see the moment before and at the event
+ * - Rolling performance statistics (telemetry.js): percentiles, achieved
+ *   rate, skipped ticks, overruns, heap and long tasks via getTelemetry()
+ * - Lifecycle events (sample, processor:started/stopped/disabled,
+ *   detector:ready) go to an event bus (eventBus.js) any number of listeners
+ *   can subscribe to; the on* callbacks remain as single-listener shortcuts
  * 
  * PERFORMANCE CONSTRAINTS:
  * - Maximum 2 FPS (500ms interval)
  * - Skip frame if previous analysis still running
- * - Auto-disable after 3 consecutive overruns
+ * - Evidence thumbnails are ~96px wide and reused in place (fixed memory)
+ * - Degrade one level after 3 consecutive overruns; disable only when
+ *   overrunning at the lowest level; every start() begins at full quality
  */
 
-import { detectFaces, cleanup as cleanupDetector } from './faceAnalyzer';
+import { analyzeFrame, compareFrameSignatures } from './frameAnalysis.js';
+import { createTelemetry } from './telemetry.js';
+import { createEventBus } from './eventBus.js';
 
-// Processing configuration
+// Processing configuration (defaults; overridable via the policy `sampler` section)
 const PROCESS_INTERVAL_MS = 500; // 2 FPS max
 const MAX_PROCESSING_MS = 200; // Time budget per frame
 const MAX_CONSECUTIVE_OVERRUNS = 3;
 
+const IDENTITY_CHECK_EVERY = 10; // Samples between identity comparisons
+
+// Degradation ladder (index = level); past the last level the processor disables
+export const DEGRADATION_LEVELS = [
+    { name: 'full', label: 'Full quality', intervalScale: 1, captureScale: 1, measureBrightness: true },
+    { name: 'reduced-rate', label: 'Reduced sample rate', intervalScale: 2, captureScale: 1, measureBrightness: true },
+    { name: 'reduced-resolution', label: 'Reduced resolution', intervalScale: 2, captureScale: 0.5, measureBrightness: true },
+    { name: 'minimal', label: 'Minimal (no brightness)', intervalScale: 3, captureScale: 0.5, measureBrightness: false }
+];
+
+// Step back up after this many consecutive samples well inside the budget
+const RECOVERY_SAMPLES = 10;
+const RECOVERY_BUDGET_FRACTION = 0.5;
+
+export const DEFAULT_SAMPLER = {
+    intervalMs: PROCESS_INTERVAL_MS,
+    maxProcessingMs: MAX_PROCESSING_MS,
+    maxConsecutiveOverruns: MAX_CONSECUTIVE_OVERRUNS,
+    identityCheckEvery: IDENTITY_CHECK_EVERY
+};
+
+// Evidence thumbnails: ring length (samples kept), width in px, JPEG quality
+export const DEFAULT_EVIDENCE = {
+    frames: 3,
+    width: 96,
+    quality: 0.6
+};
+
+/**
+ * Detector backend contract
+ * @typedef {Object} DetectorBackend
+ * @property {string} name - Backend identifier (for logs and comparisons)
+ * @property {Function} init - async () => void; loads models, safe to call repeatedly
+ * @property {Function} detect - async (image) => { count, faces: [{ box, keypoints, score }] }
+ * @property {Function} close - async () => void; releases model resources
+ */
+
+/**
+ * Identity backend contract (optional, for FACE_CHANGED)
+ * @typedef {Object} IdentityBackend
+ * @property {string} name - Backend identifier
+ * @property {Function} init - async () => void
+ * @property {Function} embed - async (frame, box) => embedding of the face inside the normalized box
+ * @property {Function} compare - (reference, current) => similarity (1 = identical)
+ * @property {Function} close - async () => void
+ */
+
+/**
+ * Worker analyzer contract (optional, see lib/workerAnalyzer.js)
+ * @typedef {Object} WorkerAnalyzer
+ * @property {string} name - Identifier (for logs and status)
+ * @property {Function} init - async () => void; starts the worker and loads its models
+ * @property {Function} analyze - async (ImageBitmap, { enroll, compare }, { measureBrightness }) => { faceDetection, brightness, signature, lighting, sharpness, identityOutcome }
+ * @property {Function} close - async () => void; releases the worker
+ */
+
 /**
  * Create a frame processor instance
  * @param {Object} options - Configuration options
  * @param {HTMLVideoElement} options.videoElement - Video element to capture from
- * @param {Function} options.onAnalysis - Callback with analysis results
- * @param {Function} options.onDisabled - Callback when auto-disabled
- * @param {Function} options.onError - Callback for errors
+ * @param {DetectorBackend} options.detector - Face detector backend
+ * @param {IdentityBackend} [options.identity] - Identity backend; enables enrollment and FACE_CHANGED checks
+ * @param {WorkerAnalyzer} [options.worker] - Run analysis off the main thread; `detector`/`identity` become the
+ *   fallback (configure the worker with an identity backend exactly when `identity` is given)
+ * @param {Function} [options.createCanvas] - (width, height) => canvas; defaults to OffscreenCanvas/DOM canvas
+ * @param {Object} [options.sampler] - { intervalMs, maxProcessingMs, maxConsecutiveOverruns, identityCheckEvery } (policy `sampler` section)
+ * @param {Function} [options.now] - () => timestamp (ms) stamped on each analysis; defaults to Date.now
+ * @param {Object} [options.evidence] - { frames, width, quality }; keeps thumbnails of the latest samples for
+ *   captureEvidence(). Off unless given (thumbnail draws would count as captures on a fake video source)
+ * @param {Object} [options.events] - createEventBus() instance to emit lifecycle events on (e.g. one shared
+ *   with flag events); a private bus is created if omitted. Either way, subscribe with processor.on()
+ * @param {Function} [options.onAnalysis] - Callback with analysis results (same payload as the `sample` event)
+ * @param {Function} [options.onDisabled] - Callback when auto-disabled (overrunning at the lowest level)
+ * @param {Function} [options.onDegradationChange] - Callback with { timestamp, level, previousLevel, name, label, reason, intervalMs, captureScale,
+ *   measureBrightness } (timestamp on the processor clock, like samples)
+ * @param {Function} [options.onError] - Callback for errors
+ * @param {Function} [options.onEnrolled] - Callback when a reference face is captured
  * @returns {Object} Processor controls
  */
 export function createFrameProcessor(options) {
-    const { videoElement, onAnalysis, onDisabled, onError } = options;
+    const {
+        videoElement,
+        detector,
+        identity,
+        worker,
+        createCanvas,
+        onAnalysis,
+        onDisabled,
+        onError,
+        onEnrolled,
+        onDegradationChange,
+        events = createEventBus(),
+        now = Date.now
+    } = options;
+    const {
+        intervalMs,
+        maxProcessingMs,
+        maxConsecutiveOverruns,
+        identityCheckEvery
+    } = { ...DEFAULT_SAMPLER, ...options.sampler };
+    const evidence = options.evidence ? { ...DEFAULT_EVIDENCE, ...options.evidence } : null;
+
+    if (!detector) {
+        throw new Error('createFrameProcessor requires a detector backend');
+    }
 
     // State
     let intervalId = null;
     let isProcessing = false;
+    let isDetectorReady = false;
     let consecutiveOverruns = 0;
+    let fastSamples = 0;
+    let degradationLevel = 0;
     let isDisabled = false;
     let canvas = null;
     let ctx = null;
+    let mode = worker ? 'worker' : 'main';
+    let startedAt = null; // Processor clock time of the current start(), for processor:stopped
+
+    // Identity state (the reference embedding lives wherever analysis runs)
+    const identityState = { reference: null };
+    let isEnrolled = false;
+    let enrollRequested = false;
+    let samplesSinceCheck = 0;
+
+    // Performance statistics for the live panel and benchmark reports
+    const telemetry = createTelemetry();
+
+    // Previous sample's frame signature (for frameChange)
+    let previousSignature = null;
+
+    // Evidence ring: fixed slots of { canvas, ctx, timestamp }, overwritten oldest first
+    let thumbnails = [];
+    let nextThumbnail = 0;
 
     /**
-     * Initialize canvas for frame capture
-     * Uses OffscreenCanvas if available for better performance
+     * Get capture dimensions (video size, or a safe default before metadata
+     * loads), scaled down at reduced-resolution degradation levels
      */
-    function initCanvas() {
-        const width = videoElement.videoWidth || 320;
-        const height = videoElement.videoHeight || 240;
+    function getFrameSize() {
+        const { captureScale } = DEGRADATION_LEVELS[degradationLevel];
+        return {
+            width: Math.round((videoElement.videoWidth || 320) * captureScale),
+            height: Math.round((videoElement.videoHeight || 240) * captureScale)
+        };
+    }
+
+    /**
+     * Sampling interval at the current degradation level
+     */
+    function getCurrentIntervalMs() {
+        return Math.round(intervalMs * DEGRADATION_LEVELS[degradationLevel].intervalScale);
+    }
 
+    /**
+     * Create a canvas of the given size
+     * Uses OffscreenCanvas if available for better performance
+     */
+    function makeCanvas(width, height) {
+        // Injected factory (headless runs) takes precedence
+        if (createCanvas) {
+            return createCanvas(width, height);
+        }
         // Try OffscreenCanvas first (better performance, doesn't touch DOM)
         if (typeof OffscreenCanvas !== 'undefined') {
-            canvas = new OffscreenCanvas(width, height);
-        } else {
-            // Fallback to regular canvas (hidden)
-            canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
+            return new OffscreenCanvas(width, height);
         }
+        // Fallback to regular canvas (hidden)
+        const element = document.createElement('canvas');
+        element.width = width;
+        element.height = height;
+        return element;
+    }
+
+    /**
+     * Initialize canvas for frame capture
+     */
+    function initCanvas() {
+        const { width, height } = getFrameSize();
+        canvas = makeCanvas(width, height);
         ctx = canvas.getContext('2d', { willReadFrequently: true });
     }
 
@@ -65,7 +235,8 @@ export function createFrameProcessor(options) {
      * @returns {HTMLCanvasElement|OffscreenCanvas}
      */
     function captureFrame() {
-        if (!canvas || !ctx) {
+        const { width, height } = getFrameSize();
+        if (!canvas || !ctx || canvas.width !== width || canvas.height !== height) {
             initCanvas();
         }
         ctx.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
@@ -73,42 +244,222 @@ export function createFrameProcessor(options) {
     }
 
     /**
-     * Calculate average brightness of the frame
-     * Cheap operation: samples a subset of pixels
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @returns {number} Average brightness (0-255)
+     * Draw the current video frame into the oldest evidence slot
+     * Slots are allocated once (at the video's aspect ratio) and reused.
+     * @param {number} timestamp - Sample timestamp
+     */
+    function recordThumbnail(timestamp) {
+        const width = evidence.width;
+        const height = Math.round(width * (videoElement.videoHeight || 240) / (videoElement.videoWidth || 320));
+
+        let slot = thumbnails[nextThumbnail];
+        if (!slot || slot.canvas.width !== width || slot.canvas.height !== height) {
+            const thumbnailCanvas = makeCanvas(width, height);
+            slot = { canvas: thumbnailCanvas, ctx: thumbnailCanvas.getContext('2d'), timestamp: null };
+            thumbnails[nextThumbnail] = slot;
+        }
+        slot.ctx.drawImage(videoElement, 0, 0, width, height);
+        slot.timestamp = timestamp;
+        nextThumbnail = (nextThumbnail + 1) % evidence.frames;
+    }
+
+    /**
+     * Encode a thumbnail canvas as a JPEG data URL
+     * @returns {Promise<string|null>} null if the canvas can't encode (e.g. a headless fake)
+     */
+    async function encodeThumbnail(thumbnailCanvas) {
+        if (typeof thumbnailCanvas.convertToBlob === 'function') {
+            const blob = await thumbnailCanvas.convertToBlob({ type: 'image/jpeg', quality: evidence.quality });
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            let binary = '';
+            for (let i = 0; i < bytes.length; i++) {
+                binary += String.fromCharCode(bytes[i]);
+            }
+            return `data:image/jpeg;base64,${btoa(binary)}`;
+        }
+        if (typeof thumbnailCanvas.toDataURL === 'function') {
+            return thumbnailCanvas.toDataURL('image/jpeg', evidence.quality);
+        }
+        return null;
+    }
+
+    /**
+     * Encode the kept thumbnails up to and including a sample
+     * Call right after onAnalysis reported the sample that raised a flag:
+     * the result covers the moments just before and at the event.
+     * @param {number} timestamp - Timestamp of the triggering sample
+     * @returns {Promise<Array>} [{ timestamp, dataUrl }] oldest first; empty when evidence is off
+     */
+    async function captureEvidence(timestamp) {
+        if (!evidence) {
+            return [];
+        }
+        const slots = thumbnails
+            .filter(slot => slot && slot.timestamp !== null && slot.timestamp <= timestamp)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        const frames = [];
+        for (const slot of slots) {
+            const dataUrl = await encodeThumbnail(slot.canvas);
+            if (dataUrl) {
+                frames.push({ timestamp: slot.timestamp, dataUrl });
+            }
+        }
+        return frames;
+    }
+
+    /**
+     * Decide before detection whether this sample enrolls or compares
+     * (applied only if the sample turns out to contain exactly one face)
+     * @returns {Object} { enroll, compare }
+     */
+    function planIdentity() {
+        if (!identity) {
+            return { enroll: false, compare: false };
+        }
+        return {
+            enroll: enrollRequested,
+            compare: !enrollRequested && isEnrolled && samplesSinceCheck + 1 >= identityCheckEvery
+        };
+    }
+
+    /**
+     * Update enrollment/check counters from the identity step's outcome
+     * @param {number} faceCount - Faces in this sample
+     * @param {Object} outcome - { enrolled, similarity }
+     */
+    function recordIdentity(faceCount, outcome) {
+        if (outcome.enrolled) {
+            isEnrolled = true;
+            enrollRequested = false;
+            samplesSinceCheck = 0;
+            console.log('[frameProcessor] Reference face enrolled');
+            if (onEnrolled) {
+                onEnrolled();
+            }
+        } else if (isEnrolled && faceCount === 1) {
+            samplesSinceCheck = outcome.similarity !== null ? 0 : samplesSinceCheck + 1;
+        }
+    }
+
+    /**
+     * Load models outside the timed section so it never counts as an overrun
+     * Falls back to the main-thread detector if the worker can't start.
+     */
+    async function initBackends() {
+        if (mode === 'worker') {
+            try {
+                await worker.init();
+                return;
+            } catch (error) {
+                console.warn('[frameProcessor] Worker unavailable, falling back to main thread:', error);
+                mode = 'main';
+                await worker.close();
+            }
+        }
+
+        await detector.init();
+        if (identity) {
+            await identity.init();
+        }
+    }
+
+    /**
+     * Capture and analyze one frame on the main thread
      */
-    function calculateBrightness(ctx) {
-        const width = canvas.width;
-        const height = canvas.height;
+    function analyzeOnMainThread(plan) {
+        const frame = captureFrame();
+        const { measureBrightness } = DEGRADATION_LEVELS[degradationLevel];
+        return analyzeFrame({ frame, ctx, detector, identity, identityState, plan, measureBrightness });
+    }
 
-        // Sample every 10th pixel for speed
-        const sampleStep = 10;
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
+    /**
+     * Capture one frame as an ImageBitmap and analyze it in the worker
+     * Only the capture itself touches the main thread.
+     */
+    async function analyzeInWorker(plan) {
+        const { width, height } = getFrameSize();
+        const bitmap = await createImageBitmap(videoElement, { resizeWidth: width, resizeHeight: height });
+        const { measureBrightness } = DEGRADATION_LEVELS[degradationLevel];
+        return worker.analyze(bitmap, plan, { measureBrightness });
+    }
 
-        let totalBrightness = 0;
-        let sampleCount = 0;
+    /**
+     * Move to another degradation level and reschedule sampling
+     * @param {number} level - Index into DEGRADATION_LEVELS
+     * @param {string} reason - Why the level changed
+     */
+    function setDegradationLevel(level, reason) {
+        const previousLevel = degradationLevel;
+        degradationLevel = level;
+        consecutiveOverruns = 0;
+        fastSamples = 0;
 
-        for (let i = 0; i < data.length; i += 4 * sampleStep) {
-            // Luminance formula (perceived brightness)
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            totalBrightness += 0.299 * r + 0.587 * g + 0.114 * b;
-            sampleCount++;
+        if (intervalId) {
+            clearInterval(intervalId);
+            intervalId = setInterval(processFrame, getCurrentIntervalMs());
         }
 
-        return sampleCount > 0 ? totalBrightness / sampleCount : 0;
+        const { name, label, captureScale, measureBrightness } = DEGRADATION_LEVELS[level];
+        console.warn(`[frameProcessor] Degradation level ${previousLevel} -> ${level} (${name}): ${reason}`);
+        if (onDegradationChange) {
+            onDegradationChange({
+                timestamp: now(),
+                level,
+                previousLevel,
+                name,
+                label,
+                reason,
+                intervalMs: getCurrentIntervalMs(),
+                captureScale,
+                measureBrightness
+            });
+        }
+    }
+
+    /**
+     * Step down on sustained overruns, back up on sustained headroom
+     * @param {number} processingTime - This sample's processing time (ms)
+     * @returns {boolean} false if the processor had to disable
+     */
+    function adaptToProcessingTime(processingTime) {
+        if (processingTime > maxProcessingMs) {
+            consecutiveOverruns++;
+            fastSamples = 0;
+            console.warn(`[frameProcessor] Overrun: ${processingTime.toFixed(1)}ms (${consecutiveOverruns}/${maxConsecutiveOverruns})`);
+
+            if (consecutiveOverruns >= maxConsecutiveOverruns) {
+                if (degradationLevel === DEGRADATION_LEVELS.length - 1) {
+                    disable('Processing time exceeded budget at the lowest quality level');
+                    return false;
+                }
+                setDegradationLevel(degradationLevel + 1, 'Processing time exceeded budget');
+            }
+            return true;
+        }
+
+        consecutiveOverruns = 0;
+        if (degradationLevel > 0 && processingTime < maxProcessingMs * RECOVERY_BUDGET_FRACTION) {
+            if (++fastSamples >= RECOVERY_SAMPLES) {
+                setDegradationLevel(degradationLevel - 1, 'Processing time recovered');
+            }
+        } else {
+            fastSamples = 0;
+        }
+        return true;
     }
 
     /**
      * Process a single frame
-     * Measures timing and handles auto-disable
+     * Measures timing and handles degradation/auto-disable
+     * @param {boolean} [manual=false] - Driven by step(); processing time is reported but not adapted to
      */
-    async function processFrame() {
+    async function processFrame(manual = false) {
         // Skip if already processing or disabled
         if (isProcessing || isDisabled) {
+            if (isProcessing) {
+                telemetry.recordSkip();
+            }
             return;
         }
 
@@ -118,44 +469,67 @@ export function createFrameProcessor(options) {
         }
 
         isProcessing = true;
-        const startTime = performance.now();
 
         try {
-            // Capture frame
-            const frame = captureFrame();
+            if (!isDetectorReady) {
+                const loadStart = performance.now();
+                await initBackends();
+                isDetectorReady = true;
+                events.emit('detector:ready', {
+                    timestamp: now(),
+                    detector: mode === 'worker' ? worker.name : detector.name,
+                    mode,
+                    loadMs: performance.now() - loadStart
+                });
+            }
 
-            // Run face detection
-            const faceDetection = await detectFaces(frame);
+            const timestamp = now();
+            const startTime = performance.now();
 
-            // Calculate brightness
-            const brightness = calculateBrightness(ctx);
+            if (evidence) {
+                recordThumbnail(timestamp);
+            }
 
+            // Capture, detect, measure brightness and run the planned identity step
+            const plan = planIdentity();
+            const { faceDetection, brightness, signature, lighting, sharpness, identityOutcome } = mode === 'worker'
+                ? await analyzeInWorker(plan)
+                : await analyzeOnMainThread(plan);
+            recordIdentity(faceDetection.count, identityOutcome);
 
+            // Picture change since the last sample (null when either was skipped or sizes differ)
+            const frameChange = compareFrameSignatures(previousSignature, signature);
+            previousSignature = signature;
 
             // Calculate processing time
             const processingTime = performance.now() - startTime;
+            telemetry.recordSample(processingTime, processingTime > maxProcessingMs);
 
-            // Check for overrun
-            if (processingTime > MAX_PROCESSING_MS) {
-                consecutiveOverruns++;
-                console.warn(`[frameProcessor] Overrun: ${processingTime.toFixed(1)}ms (${consecutiveOverruns}/${MAX_CONSECUTIVE_OVERRUNS})`);
-
-                if (consecutiveOverruns >= MAX_CONSECUTIVE_OVERRUNS) {
-                    disable('Processing time exceeded budget');
-                    return;
-                }
-            } else {
-                consecutiveOverruns = 0;
+            // Check for overrun (degrades, or disables as a last resort)
+            if (!manual && !adaptToProcessingTime(processingTime)) {
+                return;
             }
 
             // Report results
+            const analysis = {
+                timestamp,
+                faceCount: faceDetection.count,
+                faces: faceDetection.faces,
+                // Head pose only makes sense for a single candidate
+                headPose: faceDetection.count === 1 ? faceDetection.faces[0].pose ?? null : null,
+                identitySimilarity: identityOutcome.similarity,
+                identityEnrolled: isEnrolled,
+                brightness,
+                frameContrast: signature ? signature.contrast : null,
+                frameChange,
+                lighting,
+                sharpness,
+                processingTime
+            };
             if (onAnalysis) {
-                onAnalysis({
-                    faceCount: faceDetection.count,
-                    brightness,
-                    processingTime
-                });
+                onAnalysis(analysis);
             }
+            events.emit('sample', analysis);
         } catch (error) {
             console.error('[frameProcessor] Analysis error:', error);
             if (onError) {
@@ -177,6 +551,7 @@ export function createFrameProcessor(options) {
         if (onDisabled) {
             onDisabled(reason);
         }
+        events.emit('processor:disabled', { timestamp: now(), reason });
     }
 
     /**
@@ -189,10 +564,24 @@ export function createFrameProcessor(options) {
 
         isDisabled = false;
         consecutiveOverruns = 0;
+        // Load measured before a stop says little about the next run: start at full quality
+        degradationLevel = 0;
+        fastSamples = 0;
+        // After a pause the old frame says nothing about the feed being frozen
+        previousSignature = null;
+
+        // Enroll on the first start; the reference survives stop/start
+        if (identity && !isEnrolled) {
+            enrollRequested = true;
+        }
+
+        telemetry.start();
 
         // Use setInterval for throttled processing (NOT requestAnimationFrame)
-        intervalId = setInterval(processFrame, PROCESS_INTERVAL_MS);
-        console.log(`[frameProcessor] Started (${PROCESS_INTERVAL_MS}ms interval)`);
+        intervalId = setInterval(processFrame, getCurrentIntervalMs());
+        startedAt = now();
+        console.log(`[frameProcessor] Started (${getCurrentIntervalMs()}ms interval)`);
+        events.emit('processor:started', { timestamp: startedAt, intervalMs: getCurrentIntervalMs() });
     }
 
     /**
@@ -202,10 +591,39 @@ export function createFrameProcessor(options) {
         if (intervalId) {
             clearInterval(intervalId);
             intervalId = null;
+            telemetry.stop();
             console.log('[frameProcessor] Stopped');
+            const timestamp = now();
+            events.emit('processor:stopped', { timestamp, durationMs: timestamp - startedAt });
         }
     }
 
+    /**
+     * Analyze one frame immediately, outside the interval schedule
+     * For replay: the caller owns the clock (see `now`), and overruns are
+     * ignored because wall-clock speed says nothing about the recording.
+     * @returns {Promise<void>} Resolves once onAnalysis/onError has been called
+     */
+    async function step() {
+        // Enroll on the first single-face frame, as start() does for live runs
+        if (identity && !isEnrolled) {
+            enrollRequested = true;
+        }
+        await processFrame(true);
+    }
+
+    /**
+     * Capture a new reference face on the next single-face sample
+     */
+    function enroll() {
+        if (!identity) {
+            return;
+        }
+        identityState.reference = null;
+        isEnrolled = false;
+        enrollRequested = true;
+    }
+
     /**
      * Cleanup all resources
      */
@@ -213,7 +631,23 @@ export function createFrameProcessor(options) {
         stop();
         canvas = null;
         ctx = null;
-        await cleanupDetector();
+        thumbnails = [];
+        nextThumbnail = 0;
+        telemetry.reset();
+        isDetectorReady = false;
+        mode = worker ? 'worker' : 'main';
+        degradationLevel = 0;
+        fastSamples = 0;
+        identityState.reference = null;
+        isEnrolled = false;
+        enrollRequested = false;
+        if (worker) {
+            await worker.close();
+        }
+        await detector.close();
+        if (identity) {
+            await identity.close();
+        }
     }
 
     /**
@@ -224,14 +658,40 @@ export function createFrameProcessor(options) {
             isRunning: intervalId !== null,
             isProcessing,
             isDisabled,
-            consecutiveOverruns
+            consecutiveOverruns,
+            intervalMs: getCurrentIntervalMs(),
+            degradationLevel,
+            degradation: DEGRADATION_LEVELS[degradationLevel].name,
+            mode,
+            detector: mode === 'worker' ? worker.name : detector.name,
+            identityEnrolled: isEnrolled,
+            enrollmentPending: enrollRequested
+        };
+    }
+
+    /**
+     * Get performance statistics (see telemetry.js getSnapshot)
+     * Configured vs achieved rate: intervalMs is the target at the current degradation level.
+     */
+    function getTelemetry() {
+        return {
+            ...telemetry.getSnapshot(),
+            targetIntervalMs: getCurrentIntervalMs(),
+            degradationLevel
         };
     }
 
     return {
+        // Subscribe/unsubscribe to lifecycle events (see eventBus.js EVENT_TYPES)
+        on: events.on,
+        off: events.off,
         start,
         stop,
+        step,
+        enroll,
+        captureEvidence,
         cleanup,
-        getStatus
+        getStatus,
+        getTelemetry
     };
 }
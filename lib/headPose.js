@@ -0,0 +1,66 @@
+/**
+ * headPose.js - Yaw/pitch estimation from detection geometry
+ *
+ * DESIGN DECISIONS:
+ * - Two sources, same output: FaceLandmarker's facial transformation matrix
+ *   (accurate) or FaceDetector's six keypoints (cheap approximation)
+ * - Angles in degrees; yaw positive = turned toward image right,
+ *   pitch positive = looking down. Thresholds compare absolute values.
+ *
+ * ACCURACY:
+ * - Keypoint estimates are ratio-based and only meant to separate
+ *   "facing the screen" from "clearly turned away" (roughly +/-10 degrees)
+ */
+
+// Nose tip position between eye line (0) and mouth (1) for a level head
+const NEUTRAL_NOSE_RATIO = 0.55;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Estimate head pose from BlazeFace keypoints
+ * @param {Array<{x: number, y: number}>} keypoints - right eye, left eye, nose, mouth, right ear, left ear
+ * @returns {Object|null} { yaw, pitch } in degrees, or null if keypoints are incomplete
+ */
+export function poseFromKeypoints(keypoints) {
+    if (!keypoints || keypoints.length < 6) {
+        return null;
+    }
+
+    const [rightEye, leftEye, nose, mouth, rightEar, leftEar] = keypoints;
+
+    // Yaw: where the nose sits between the two ear tragions (0.5 = centered)
+    const earSpan = leftEar.x - rightEar.x;
+    const yawRatio = earSpan !== 0 ? (nose.x - rightEar.x) / earSpan : 0.5;
+
+    // Pitch: where the nose sits between the eye line and the mouth
+    const eyeY = (rightEye.y + leftEye.y) / 2;
+    const faceSpan = mouth.y - eyeY;
+    const pitchRatio = faceSpan !== 0 ? (nose.y - eyeY) / faceSpan : NEUTRAL_NOSE_RATIO;
+
+    return {
+        yaw: asinDegrees((yawRatio - 0.5) * 2),
+        pitch: asinDegrees((pitchRatio - NEUTRAL_NOSE_RATIO) * 2)
+    };
+}
+
+/**
+ * Estimate head pose from a FaceLandmarker facial transformation matrix
+ * @param {number[]} data - 4x4 matrix, column-major
+ * @returns {Object} { yaw, pitch } in degrees
+ */
+export function poseFromMatrix(data) {
+    // Rotation elements R[row][col] = data[col * 4 + row]
+    const r20 = data[2];
+    const r21 = data[6];
+    const r22 = data[10];
+
+    return {
+        yaw: asinDegrees(-r20),
+        pitch: -Math.atan2(r21, r22) * RAD_TO_DEG
+    };
+}
+
+function asinDegrees(value) {
+    return Math.asin(Math.max(-1, Math.min(1, value))) * RAD_TO_DEG;
+}
@@ -0,0 +1,155 @@
+/**
+ * mediapipeAssets.js - Self-hosted MediaPipe asset resolution
+ *
+ * DESIGN DECISIONS:
+ * - WASM fileset and models are served from our own origin (public/mediapipe)
+ *   so locked-down exam networks never need to reach a third-party CDN
+ * - Assets live under a versioned directory matching the installed
+ *   @mediapipe/tasks-vision package, so upgrades never mix WASM and JS builds
+ * - A manifest written by scripts/sync-mediapipe-assets.mjs is checked before
+ *   loading, turning a missing or stale asset into a clear error message
+ *
+ * CONFIGURATION (build-time env, see next.config.mjs):
+ * - NEXT_PUBLIC_MEDIAPIPE_VERSION: injected from the installed package
+ * - NEXT_PUBLIC_MEDIAPIPE_ASSET_BASE: optional base URL (default /mediapipe)
+ */
+
+// Installed @mediapipe/tasks-vision version (inlined by next.config.mjs)
+export const MEDIAPIPE_VERSION = process.env.NEXT_PUBLIC_MEDIAPIPE_VERSION || null;
+
+// Where the versioned asset directories are served from
+const DEFAULT_ASSET_BASE = process.env.NEXT_PUBLIC_MEDIAPIPE_ASSET_BASE || '/mediapipe';
+
+// Model files by role (downloaded by scripts/sync-mediapipe-assets.mjs)
+export const MODEL_FILES = {
+    faceDetector: 'blaze_face_short_range.tflite',
+    faceDetectorFullRange: 'blaze_face_full_range.tflite',
+    faceLandmarker: 'face_landmarker.task',
+    imageEmbedder: 'mobilenet_v3_small.tflite'
+};
+
+// Roles whose model is not published for download; placed by hand and
+// picked up by the sync script (only benchmarks use them)
+const MANUAL_MODEL_ROLES = ['faceDetectorFullRange'];
+
+// Verification results per asset root (each root is checked once per page load)
+const verifyPromises = new Map();
+
+/**
+ * Error thrown when a self-hosted asset is missing or from the wrong version
+ */
+export class MediaPipeAssetError extends Error {
+    /**
+     * @param {string} message - Human-readable explanation
+     * @param {Object} [details] - Extra context
+     * @param {string} [details.url] - Asset URL that failed
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, { url = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'MediaPipeAssetError';
+        this.url = url;
+    }
+}
+
+/**
+ * Build asset URLs for the installed MediaPipe version
+ * @param {string} [baseUrl] - Base URL override
+ * @returns {Object} URLs for the asset root, WASM directory, manifest and models
+ */
+export function getAssetPaths(baseUrl = DEFAULT_ASSET_BASE) {
+    if (!MEDIAPIPE_VERSION) {
+        throw new MediaPipeAssetError(
+            'MediaPipe version is unknown: NEXT_PUBLIC_MEDIAPIPE_VERSION was not set at build time'
+        );
+    }
+
+    const root = `${baseUrl.replace(/\/+$/, '')}/${MEDIAPIPE_VERSION}`;
+
+    return {
+        root,
+        wasm: `${root}/wasm`,
+        manifest: `${root}/manifest.json`,
+        model: (role) => {
+            const file = MODEL_FILES[role];
+            if (!file) {
+                throw new MediaPipeAssetError(`Unknown MediaPipe model role: ${role}`);
+            }
+            return `${root}/models/${file}`;
+        }
+    };
+}
+
+/**
+ * Verify the asset manifest matches the installed version and lists the
+ * requested models. Results are cached per asset root.
+ * @param {string[]} roles - Model roles that will be loaded
+ * @param {string} [baseUrl] - Base URL override
+ * @returns {Promise<Object>} Resolved asset paths
+ * @throws {MediaPipeAssetError} When an asset is missing or mismatched
+ */
+export async function verifyAssets(roles, baseUrl = DEFAULT_ASSET_BASE) {
+    const paths = getAssetPaths(baseUrl);
+
+    if (!verifyPromises.has(paths.root)) {
+        const promise = loadManifest(paths).catch((error) => {
+            verifyPromises.delete(paths.root);
+            throw error;
+        });
+        verifyPromises.set(paths.root, promise);
+    }
+
+    const manifest = await verifyPromises.get(paths.root);
+
+    for (const role of roles) {
+        const url = paths.model(role);
+        if (!manifest.models?.includes(MODEL_FILES[role])) {
+            throw new MediaPipeAssetError(
+                `MediaPipe model "${MODEL_FILES[role]}" is missing from ${paths.manifest}. ` +
+                (MANUAL_MODEL_ROLES.includes(role)
+                    ? `Place it in ${paths.root}/models/ and run \`npm run mediapipe:assets\` to list it.`
+                    : 'Run `npm run mediapipe:assets` to download it.'),
+                { url }
+            );
+        }
+    }
+
+    return paths;
+}
+
+/**
+ * Fetch and validate the manifest for an asset root
+ * @param {Object} paths - Result of getAssetPaths()
+ * @returns {Promise<Object>} Parsed manifest
+ */
+async function loadManifest(paths) {
+    let response;
+    try {
+        response = await fetch(paths.manifest, { cache: 'no-cache' });
+    } catch (error) {
+        throw new MediaPipeAssetError(
+            `Could not reach MediaPipe assets at ${paths.root}`,
+            { url: paths.manifest, cause: error }
+        );
+    }
+
+    if (!response.ok) {
+        throw new MediaPipeAssetError(
+            `MediaPipe assets for v${MEDIAPIPE_VERSION} not found at ${paths.root} (HTTP ${response.status}). ` +
+            'Run `npm run mediapipe:assets` to copy them into public/.',
+            { url: paths.manifest }
+        );
+    }
+
+    const manifest = await response.json();
+
+    if (manifest.version !== MEDIAPIPE_VERSION) {
+        throw new MediaPipeAssetError(
+            `MediaPipe asset version mismatch: expected v${MEDIAPIPE_VERSION}, ` +
+            `found v${manifest.version} at ${paths.root}`,
+            { url: paths.manifest }
+        );
+    }
+
+    return manifest;
+}
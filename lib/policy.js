@@ -0,0 +1,308 @@
+/**
+ * policy.js - Exam policy profiles
+ *
+ * DESIGN DECISIONS:
+ * - One plain object with four sections, each handed to one module:
+ *   detector -> detector backends, sampler -> createFrameProcessor,
+ *   flags -> processAnalysis thresholds, integrity -> summarizeSession weights
+ * - Named presets are complete policies; custom policies are a preset
+ *   plus overrides, always validated against POLICY_SCHEMA
+ * - No imports, so presets can be loaded from Node tooling as well
+ *
+ * PRESETS:
+ * - strict: faster sampling, quicker flags, tighter head-pose limits,
+ *   every episode costs more
+ * - standard: the historical defaults of each module
+ * - lenient: slower sampling, tolerant of brief absences and dim rooms,
+ *   picture-quality flags barely count
+ */
+
+export const POLICY_PRESETS = {
+    strict: {
+        name: 'strict',
+        detector: { delegate: 'GPU', minDetectionConfidence: 0.6, model: 'short-range' },
+        sampler: { intervalMs: 333, maxProcessingMs: 200, maxConsecutiveOverruns: 5, identityCheckEvery: 6 },
+        flags: {
+            faceMissingSamples: 2,
+            lowLightBrightness: 60,
+            backlitDifference: 60,
+            overexposedFraction: 0.2,
+            faceUnderlitBrightness: 70,
+            blurrySharpness: 30,
+            blurrySamples: 3,
+            lookingAwayYawDegrees: 20,
+            lookingAwayPitchDegrees: 20,
+            lookingAwaySamples: 2,
+            faceEdgeMargin: 0.02,
+            facePartialSamples: 2,
+            faceOffCenterTolerance: 0.2,
+            faceOffCenterSamples: 2,
+            faceTooCloseArea: 0.3,
+            faceTooCloseSamples: 2,
+            faceTooFarArea: 0.03,
+            faceTooFarSamples: 2,
+            faceChangedSimilarity: 0.75,
+            faceChangedChecks: 1,
+            cameraBlockedContrast: 8,
+            cameraBlockedBrightness: 15,
+            cameraBlockedSamples: 2,
+            frameFrozenChange: 0.3,
+            frameFrozenSamples: 4
+        },
+        integrity: {
+            multipleFaces: 3,
+            faceChanged: 3,
+            faceMissing: 1.5,
+            lookingAway: 1,
+            tabHidden: 2,
+            windowBlurred: 1,
+            fullscreenExited: 1,
+            cameraLost: 1,
+            cameraBlocked: 2,
+            frameFrozen: 2,
+            speechDetected: 1,
+            otherFlags: 0.25,
+            episodePoints: 1
+        }
+    },
+    standard: {
+        name: 'standard',
+        detector: { delegate: 'GPU', minDetectionConfidence: 0.5, model: 'short-range' },
+        sampler: { intervalMs: 500, maxProcessingMs: 200, maxConsecutiveOverruns: 3, identityCheckEvery: 10 },
+        flags: {
+            faceMissingSamples: 3,
+            lowLightBrightness: 50,
+            backlitDifference: 70,
+            overexposedFraction: 0.25,
+            faceUnderlitBrightness: 60,
+            blurrySharpness: 20,
+            blurrySamples: 4,
+            lookingAwayYawDegrees: 30,
+            lookingAwayPitchDegrees: 25,
+            lookingAwaySamples: 4,
+            faceEdgeMargin: 0.01,
+            facePartialSamples: 3,
+            faceOffCenterTolerance: 0.25,
+            faceOffCenterSamples: 3,
+            faceTooCloseArea: 0.35,
+            faceTooCloseSamples: 3,
+            faceTooFarArea: 0.02,
+            faceTooFarSamples: 3,
+            faceChangedSimilarity: 0.7,
+            faceChangedChecks: 2,
+            cameraBlockedContrast: 6,
+            cameraBlockedBrightness: 12,
+            cameraBlockedSamples: 3,
+            frameFrozenChange: 0.25,
+            frameFrozenSamples: 6
+        },
+        integrity: {
+            multipleFaces: 3,
+            faceChanged: 3,
+            faceMissing: 1.5,
+            lookingAway: 1,
+            tabHidden: 2,
+            windowBlurred: 1,
+            fullscreenExited: 1,
+            cameraLost: 1,
+            cameraBlocked: 2,
+            frameFrozen: 2,
+            speechDetected: 1,
+            otherFlags: 0.25,
+            episodePoints: 0.5
+        }
+    },
+    lenient: {
+        name: 'lenient',
+        detector: { delegate: 'GPU', minDetectionConfidence: 0.4, model: 'short-range' },
+        sampler: { intervalMs: 1000, maxProcessingMs: 300, maxConsecutiveOverruns: 3, identityCheckEvery: 10 },
+        flags: {
+            faceMissingSamples: 5,
+            lowLightBrightness: 35,
+            backlitDifference: 90,
+            overexposedFraction: 0.35,
+            faceUnderlitBrightness: 45,
+            blurrySharpness: 12,
+            blurrySamples: 6,
+            lookingAwayYawDegrees: 40,
+            lookingAwayPitchDegrees: 35,
+            lookingAwaySamples: 6,
+            faceEdgeMargin: 0,
+            facePartialSamples: 5,
+            faceOffCenterTolerance: 0.35,
+            faceOffCenterSamples: 5,
+            faceTooCloseArea: 0.5,
+            faceTooCloseSamples: 5,
+            faceTooFarArea: 0.01,
+            faceTooFarSamples: 5,
+            faceChangedSimilarity: 0.6,
+            faceChangedChecks: 3,
+            cameraBlockedContrast: 4,
+            cameraBlockedBrightness: 8,
+            cameraBlockedSamples: 5,
+            frameFrozenChange: 0.15,
+            frameFrozenSamples: 10
+        },
+        integrity: {
+            multipleFaces: 3,
+            faceChanged: 3,
+            faceMissing: 1.5,
+            lookingAway: 1,
+            tabHidden: 2,
+            windowBlurred: 1,
+            fullscreenExited: 1,
+            cameraLost: 1,
+            cameraBlocked: 2,
+            frameFrozen: 2,
+            speechDetected: 1,
+            otherFlags: 0.1,
+            episodePoints: 0.25
+        }
+    }
+};
+
+export const DEFAULT_POLICY_NAME = 'standard';
+
+// Field constraints per section (labels are used by the settings panel)
+export const POLICY_SCHEMA = {
+    detector: {
+        delegate: { type: 'enum', values: ['GPU', 'CPU'], label: 'Delegate' },
+        minDetectionConfidence: { type: 'number', min: 0.1, max: 0.95, label: 'Min detection confidence' },
+        // Keys of DETECTOR_MODELS (lib/faceAnalyzer.js)
+        model: { type: 'enum', values: ['short-range', 'full-range'], label: 'Detector model' }
+    },
+    sampler: {
+        intervalMs: { type: 'integer', min: 100, max: 5000, label: 'Sample interval (ms)' },
+        maxProcessingMs: { type: 'integer', min: 20, max: 2000, label: 'Processing budget (ms)' },
+        maxConsecutiveOverruns: { type: 'integer', min: 1, max: 20, label: 'Overruns before disable' },
+        identityCheckEvery: { type: 'integer', min: 1, max: 600, label: 'Identity check every (samples)' }
+    },
+    flags: {
+        faceMissingSamples: { type: 'integer', min: 1, max: 60, label: 'FACE_MISSING after (samples)' },
+        lowLightBrightness: { type: 'number', min: 0, max: 255, label: 'LOW_LIGHT below (0-255)' },
+        backlitDifference: { type: 'number', min: 10, max: 255, label: 'BACKLIT background - face (0-255)' },
+        overexposedFraction: { type: 'number', min: 0.01, max: 1, label: 'OVEREXPOSED above (clipped fraction 0-1)' },
+        faceUnderlitBrightness: { type: 'number', min: 0, max: 255, label: 'FACE_UNDERLIT below (0-255)' },
+        blurrySharpness: { type: 'number', min: 0, max: 1000, label: 'BLURRY below (sharpness)' },
+        blurrySamples: { type: 'integer', min: 1, max: 60, label: 'BLURRY after (samples)' },
+        lookingAwayYawDegrees: { type: 'number', min: 5, max: 90, label: 'LOOKING_AWAY yaw (deg)' },
+        lookingAwayPitchDegrees: { type: 'number', min: 5, max: 90, label: 'LOOKING_AWAY pitch (deg)' },
+        lookingAwaySamples: { type: 'integer', min: 1, max: 60, label: 'LOOKING_AWAY after (samples)' },
+        faceEdgeMargin: { type: 'number', min: 0, max: 0.2, label: 'FACE_PARTIAL edge margin (0-1)' },
+        facePartialSamples: { type: 'integer', min: 1, max: 60, label: 'FACE_PARTIAL after (samples)' },
+        faceOffCenterTolerance: { type: 'number', min: 0.05, max: 0.5, label: 'FACE_OFF_CENTER tolerance (0-0.5)' },
+        faceOffCenterSamples: { type: 'integer', min: 1, max: 60, label: 'FACE_OFF_CENTER after (samples)' },
+        faceTooCloseArea: { type: 'number', min: 0.05, max: 1, label: 'FACE_TOO_CLOSE above (area 0-1)' },
+        faceTooCloseSamples: { type: 'integer', min: 1, max: 60, label: 'FACE_TOO_CLOSE after (samples)' },
+        faceTooFarArea: { type: 'number', min: 0.001, max: 0.5, label: 'FACE_TOO_FAR below (area 0-1)' },
+        faceTooFarSamples: { type: 'integer', min: 1, max: 60, label: 'FACE_TOO_FAR after (samples)' },
+        faceChangedSimilarity: { type: 'number', min: 0, max: 1, label: 'FACE_CHANGED below (similarity 0-1)' },
+        faceChangedChecks: { type: 'integer', min: 1, max: 10, label: 'FACE_CHANGED after (checks)' },
+        cameraBlockedContrast: { type: 'number', min: 0, max: 50, label: 'CAMERA_BLOCKED contrast below (0-255)' },
+        cameraBlockedBrightness: { type: 'number', min: 0, max: 100, label: 'CAMERA_BLOCKED brightness below (0-255)' },
+        cameraBlockedSamples: { type: 'integer', min: 1, max: 60, label: 'CAMERA_BLOCKED after (samples)' },
+        frameFrozenChange: { type: 'number', min: 0, max: 10, label: 'FRAME_FROZEN change below (0-255)' },
+        frameFrozenSamples: { type: 'integer', min: 2, max: 120, label: 'FRAME_FROZEN after (samples)' }
+    },
+    integrity: {
+        multipleFaces: { type: 'number', min: 0, max: 10, label: 'MULTIPLE_FACES weight' },
+        faceChanged: { type: 'number', min: 0, max: 10, label: 'FACE_CHANGED weight' },
+        faceMissing: { type: 'number', min: 0, max: 10, label: 'FACE_MISSING weight' },
+        lookingAway: { type: 'number', min: 0, max: 10, label: 'LOOKING_AWAY weight' },
+        tabHidden: { type: 'number', min: 0, max: 10, label: 'TAB_HIDDEN weight' },
+        windowBlurred: { type: 'number', min: 0, max: 10, label: 'WINDOW_BLURRED weight' },
+        fullscreenExited: { type: 'number', min: 0, max: 10, label: 'FULLSCREEN_EXITED weight' },
+        cameraLost: { type: 'number', min: 0, max: 10, label: 'CAMERA_LOST weight' },
+        cameraBlocked: { type: 'number', min: 0, max: 10, label: 'CAMERA_BLOCKED weight' },
+        frameFrozen: { type: 'number', min: 0, max: 10, label: 'FRAME_FROZEN weight' },
+        speechDetected: { type: 'number', min: 0, max: 10, label: 'SPEECH_DETECTED weight' },
+        otherFlags: { type: 'number', min: 0, max: 10, label: 'Other flags weight' },
+        episodePoints: { type: 'number', min: 0, max: 20, label: 'Points per episode (x weight)' }
+    }
+};
+
+/**
+ * Validate a complete policy against POLICY_SCHEMA
+ * @param {Object} policy
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validatePolicy(policy) {
+    const errors = [];
+
+    for (const [section, fields] of Object.entries(POLICY_SCHEMA)) {
+        const values = policy?.[section];
+        if (typeof values !== 'object' || values === null) {
+            errors.push(`${section} must be an object`);
+            continue;
+        }
+
+        for (const [key, rule] of Object.entries(fields)) {
+            const error = checkField(values[key], rule);
+            if (error) {
+                errors.push(`${section}.${key} ${error}`);
+            }
+        }
+    }
+
+    // Cross-field: a budget at or above the interval can never be met
+    if (errors.length === 0 && policy.sampler.maxProcessingMs >= policy.sampler.intervalMs) {
+        errors.push('sampler.maxProcessingMs must be less than sampler.intervalMs');
+    }
+    // Cross-field: no face size could ever be "OK"
+    if (errors.length === 0 && policy.flags.faceTooFarArea >= policy.flags.faceTooCloseArea) {
+        errors.push('flags.faceTooFarArea must be less than flags.faceTooCloseArea');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build a complete policy from a preset name plus per-section overrides
+ * @param {string} [presetName='standard'] - Key of POLICY_PRESETS
+ * @param {Object} [overrides] - Partial { detector, sampler, flags }
+ * @returns {Object} { policy, errors } - policy falls back to the unmodified preset when invalid
+ */
+export function resolvePolicy(presetName = DEFAULT_POLICY_NAME, overrides = {}) {
+    const preset = POLICY_PRESETS[presetName];
+    if (!preset) {
+        return {
+            policy: POLICY_PRESETS[DEFAULT_POLICY_NAME],
+            errors: [`Unknown policy preset "${presetName}"`]
+        };
+    }
+
+    const hasOverrides = Object.keys(POLICY_SCHEMA).some((section) =>
+        overrides[section] && Object.keys(overrides[section]).length > 0
+    );
+    if (!hasOverrides) {
+        return { policy: preset, errors: [] };
+    }
+
+    const policy = { name: `${presetName} (custom)` };
+    for (const section of Object.keys(POLICY_SCHEMA)) {
+        policy[section] = { ...preset[section], ...overrides[section] };
+    }
+
+    const { valid, errors } = validatePolicy(policy);
+    return valid ? { policy, errors: [] } : { policy: preset, errors };
+}
+
+/**
+ * Helper: Check one value against its schema rule
+ * @returns {string|null} Error suffix, or null if valid
+ */
+function checkField(value, rule) {
+    if (rule.type === 'enum') {
+        return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+    }
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+        return 'must be a number';
+    }
+    if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return 'must be an integer';
+    }
+    if (value < rule.min || value > rule.max) {
+        return `must be between ${rule.min} and ${rule.max}`;
+    }
+    return null;
+}
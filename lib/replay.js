@@ -0,0 +1,277 @@
+/**
+ * replay.js - Run the analysis pipeline over a recording instead of a webcam
+ *
+ * DESIGN DECISIONS:
+ * - Simulated clock: samples are taken at 0, intervalMs, 2*intervalMs, ...
+ *   of recording time, and every timestamp (samples, flag history, log) is
+ *   recording time in ms, so the same clip always yields the same timeline
+ * - Same building blocks as the live page: createFrameProcessor (driven by
+ *   step()), processAnalysis and a session log, so a replay exercises the
+ *   real code paths rather than a parallel implementation
+ * - Sources expose a video-element-like `videoElement` (readyState,
+ *   videoWidth/videoHeight, drawable), which is all frameProcessor reads
+ *
+ * OUTPUTS:
+ * - log: session log (JSON/CSV export, same format as live sessions)
+ * - trace: one onAnalysis payload per sample, for JSONL export and
+ *   re-running flag thresholds without the recording
+ * - events (optional bus): the same sample / processor:* / flag:* events as
+ *   a live session, on the recording clock
+ */
+
+import { createFrameProcessor } from './frameProcessor';
+import { createFlagTracker, processAnalysis, getEvidenceTriggers, EVIDENCE_FLAGS } from './flagManager';
+import { createSessionLog } from './sessionLog';
+
+// Default time each image of a frame sequence stays on screen
+const DEFAULT_FRAME_DURATION_MS = 500;
+
+/**
+ * Create a replay source from a video file or URL (e.g. a clip under public/)
+ * @param {File|string} input - Local file or URL
+ * @returns {Object} Replay source ({ name, videoElement, durationMs, load, seek, close })
+ */
+export function createVideoReplaySource(input) {
+    const isFile = typeof input !== 'string';
+    const name = isFile ? input.name : input;
+    const video = document.createElement('video');
+    let objectUrl = null;
+    let durationMs = 0;
+
+    async function load() {
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        if (isFile) {
+            objectUrl = URL.createObjectURL(input);
+        }
+        video.src = objectUrl ?? input;
+
+        await waitForEvent(video, 'loadeddata');
+        if (!Number.isFinite(video.duration)) {
+            throw new Error(`Cannot determine the duration of ${name}`);
+        }
+        durationMs = video.duration * 1000;
+        console.log(`[replay] Loaded ${name} (${video.videoWidth}x${video.videoHeight}, ${Math.round(durationMs)}ms)`);
+    }
+
+    /**
+     * Show the frame at a recording time
+     * @param {number} timeMs
+     */
+    async function seek(timeMs) {
+        const seeked = waitForEvent(video, 'seeked');
+        video.currentTime = timeMs / 1000;
+        await seeked;
+    }
+
+    function close() {
+        video.removeAttribute('src');
+        video.load();
+        if (objectUrl) {
+            URL.revokeObjectURL(objectUrl);
+            objectUrl = null;
+        }
+    }
+
+    return {
+        name,
+        videoElement: video,
+        get durationMs() {
+            return durationMs;
+        },
+        load,
+        seek,
+        close
+    };
+}
+
+/**
+ * Create a replay source from image files (e.g. a folder of exported frames)
+ * Frames are ordered by file name (numeric-aware, so frame2 < frame10).
+ * @param {Array<File>} files - Image files
+ * @param {Object} [options]
+ * @param {number} [options.frameDurationMs=500] - Recording time each frame covers
+ * @returns {Object} Replay source ({ name, videoElement, durationMs, load, seek, close })
+ */
+export function createFrameSequenceSource(files, { frameDurationMs = DEFAULT_FRAME_DURATION_MS } = {}) {
+    const frames = [...files]
+        .filter((file) => file.type.startsWith('image/'))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const name = frames.length > 0
+        ? `${frames[0].webkitRelativePath?.split('/')[0] || frames[0].name} (${frames.length} frames)`
+        : 'empty frame sequence';
+
+    // A canvas dressed up as a ready video element
+    const display = document.createElement('canvas');
+    const displayCtx = display.getContext('2d');
+    let shownIndex = -1;
+
+    async function load() {
+        if (frames.length === 0) {
+            throw new Error('No image files in the selected frames');
+        }
+        const first = await createImageBitmap(frames[0]);
+        display.width = first.width;
+        display.height = first.height;
+        first.close();
+        Object.assign(display, { videoWidth: display.width, videoHeight: display.height, readyState: 4 });
+        console.log(`[replay] Loaded ${name} (${display.width}x${display.height})`);
+    }
+
+    /**
+     * Show the frame covering a recording time
+     * @param {number} timeMs
+     */
+    async function seek(timeMs) {
+        const index = Math.min(Math.floor(timeMs / frameDurationMs), frames.length - 1);
+        if (index === shownIndex) {
+            return;
+        }
+        const bitmap = await createImageBitmap(frames[index]);
+        displayCtx.drawImage(bitmap, 0, 0, display.width, display.height);
+        bitmap.close();
+        shownIndex = index;
+    }
+
+    function close() {
+        shownIndex = -1;
+    }
+
+    return {
+        name,
+        videoElement: display,
+        durationMs: frames.length * frameDurationMs,
+        load,
+        seek,
+        close
+    };
+}
+
+/**
+ * Replay a source through the pipeline at a fixed simulated sample rate
+ * @param {Object} params
+ * @param {Object} params.source - From createVideoReplaySource/createFrameSequenceSource
+ * @param {Object} params.detector - Detector backend
+ * @param {Object} [params.identity] - Identity backend
+ * @param {Object} params.policy - Exam policy (sampler.intervalMs sets the simulated rate)
+ * @param {Object} [params.evidence] - frameProcessor evidence options; attaches thumbnails to transitions
+ *   that raise one of `evidenceFlags`
+ * @param {string[]} [params.evidenceFlags=EVIDENCE_FLAGS]
+ * @param {Object} [params.events] - createEventBus() instance for processor and flag events
+ * @param {Function} [params.onProgress] - ({ done, total, state, analysis }) after each sample
+ * @param {AbortSignal} [params.signal] - Cancels between samples
+ * @returns {Promise<Object>} { log, trace, state }
+ */
+export async function runReplay({
+    source, detector, identity, policy, evidence, evidenceFlags = EVIDENCE_FLAGS, events, onProgress, signal
+}) {
+    const { intervalMs } = policy.sampler;
+    let clockMs = 0;
+    const flagTracker = createFlagTracker({ events });
+    let state = flagTracker.getState();
+    let lastAnalysis = null;
+    let failure = null;
+    let evidenceRequest = null;
+    const trace = [];
+    const log = createSessionLog({ replay: true, source: source.name, detector: detector.name, policy });
+
+    const processor = createFrameProcessor({
+        videoElement: source.videoElement,
+        detector,
+        identity,
+        sampler: policy.sampler,
+        evidence,
+        events,
+        now: () => clockMs,
+        onAnalysis: (analysis) => {
+            const previous = state;
+            state = flagTracker.apply((current) => processAnalysis(current, analysis, policy.flags));
+            if (state.history !== previous.history) {
+                log.recordTransition(state.history[state.history.length - 1]);
+                const flags = getEvidenceTriggers(previous.currentFlags, state.currentFlags, evidenceFlags);
+                if (evidence && flags.length > 0) {
+                    evidenceRequest = { timestamp: analysis.timestamp, flags };
+                }
+            }
+            log.recordSample(analysis);
+            trace.push(analysis);
+            lastAnalysis = analysis;
+        },
+        onEnrolled: () => log.recordEvent('enrolled', {}, clockMs),
+        onError: (error) => {
+            failure = error;
+        }
+    });
+
+    try {
+        await source.load();
+        log.setMetadata({ cameraResolution: `${source.videoElement.videoWidth}x${source.videoElement.videoHeight}` });
+        log.recordEvent('started', {}, 0);
+
+        const total = Math.ceil(source.durationMs / intervalMs);
+        console.log(`[replay] Replaying ${source.name}: ${total} samples at ${intervalMs}ms`);
+
+        for (let done = 0; done < total; done++) {
+            if (signal?.aborted) {
+                throw new DOMException('Replay aborted', 'AbortError');
+            }
+
+            clockMs = done * intervalMs;
+            await source.seek(clockMs);
+            await processor.step();
+            if (failure) {
+                throw failure;
+            }
+            if (evidenceRequest) {
+                const { timestamp, flags } = evidenceRequest;
+                evidenceRequest = null;
+                const frames = await processor.captureEvidence(timestamp);
+                if (frames.length > 0) {
+                    log.attachEvidence(timestamp, { flags, frames });
+                }
+            }
+
+            if (onProgress) {
+                onProgress({ done: done + 1, total, state, analysis: lastAnalysis });
+            }
+        }
+
+        log.recordEvent('stopped', {}, Math.round(source.durationMs));
+        return { log, trace, state };
+    } finally {
+        await processor.cleanup();
+        source.close();
+    }
+}
+
+/**
+ * Serialize a replay trace as JSONL (one analysis per line)
+ * @param {Array<Object>} trace - runReplay trace
+ * @returns {string}
+ */
+export function traceToJSONL(trace) {
+    return trace.map((analysis) => JSON.stringify(analysis)).join('\n') + '\n';
+}
+
+/**
+ * Helper: Resolve on the next event, reject on a media error
+ */
+function waitForEvent(element, eventName) {
+    return new Promise((resolve, reject) => {
+        function cleanup() {
+            element.removeEventListener(eventName, onEvent);
+            element.removeEventListener('error', onError);
+        }
+        function onEvent() {
+            cleanup();
+            resolve();
+        }
+        function onError() {
+            cleanup();
+            reject(new Error(`Cannot load media: ${element.error?.message || element.currentSrc}`));
+        }
+        element.addEventListener(eventName, onEvent);
+        element.addEventListener('error', onError);
+    });
+}
@@ -0,0 +1,41 @@
+/**
+ * sessionAuth.js - Bearer token check for the session report API (server only)
+ *
+ * DESIGN DECISIONS:
+ * - One shared secret (SESSION_API_TOKEN) for uploads and reads alike:
+ *   reports carry candidate face thumbnails, so listing and fetching them
+ *   needs the same trust as storing them
+ * - Without a configured token the API is open in development and closed
+ *   in production, so a forgotten variable never exposes reports
+ * - Constant-time comparison, so response timing doesn't leak the token
+ *
+ * NOTE: Import only from API routes; uses node:crypto.
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+
+// Shared secret (unset: open in development, closed in production)
+const API_TOKEN = process.env.SESSION_API_TOKEN || null;
+
+/**
+ * Check a request's bearer token
+ * @param {Object} req - Next.js API request
+ * @returns {boolean} Whether the request may use the session API
+ */
+export function isSessionRequestAuthorized(req) {
+    if (!API_TOKEN) {
+        return process.env.NODE_ENV !== 'production';
+    }
+    const expected = Buffer.from(`Bearer ${API_TOKEN}`);
+    const received = Buffer.from(req.headers.authorization || '');
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Send the 401 for a request that failed isSessionRequestAuthorized
+ * @param {Object} res - Next.js API response
+ */
+export function rejectUnauthorized(res) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Missing or invalid session API token' });
+}
@@ -0,0 +1,330 @@
+/**
+ * sessionLog.js - Full-session evidence log with JSON/CSV export
+ *
+ * DESIGN DECISIONS:
+ * - Unbounded but compact: per-sample metrics are stored column-wise in
+ *   typed arrays that grow by doubling (~70 bytes per sample, so a
+ *   3-hour exam at 2 FPS stays around 1.5 MB)
+ * - Flag transitions and processor events are rare, kept as plain objects
+ * - Evidence thumbnails (JPEG data URLs on transitions) are the one large
+ *   item, so their total size has a hard cap; past it, new evidence is
+ *   dropped and counted rather than growing the log
+ * - Independent of the flag state, so it survives stop/start; a new
+ *   session starts only when the page creates a new log
+ *
+ * RECORD TYPES:
+ * - sample: raw metrics from each analysis (faceCount, brightness, ...,
+ *   and the face box when exactly one face is found, so framing flags can
+ *   be replayed from an export)
+ * - flags: flag set changes (history entries from flagManager), optionally
+ *   with evidence thumbnails (JSON export only; CSV rows stay one line)
+ * - event: processor lifecycle (started, stopped, disabled, error, enrolled)
+ */
+
+const INITIAL_CAPACITY = 1024;
+
+// Total size of evidence data URLs kept per session (~2 MB of text)
+export const MAX_EVIDENCE_BYTES = 2 * 1024 * 1024;
+
+// Numeric per-sample columns (null values are stored as NaN)
+const SAMPLE_COLUMNS = {
+    timestamp: Float64Array,
+    faceCount: Uint8Array,
+    brightness: Float32Array,
+    contrast: Float32Array,
+    frameChange: Float32Array,
+    faceBrightness: Float32Array,
+    backgroundBrightness: Float32Array,
+    highlights: Float32Array,
+    sharpness: Float32Array,
+    processingTime: Float32Array,
+    yaw: Float32Array,
+    pitch: Float32Array,
+    similarity: Float32Array,
+    // Normalized box of the single detected face (framing flags)
+    faceX: Float32Array,
+    faceY: Float32Array,
+    faceWidth: Float32Array,
+    faceHeight: Float32Array
+};
+
+const CSV_HEADER = [
+    'timestamp', 'time', 'type', 'faceCount', 'brightness', 'contrast', 'frameChange',
+    'faceBrightness', 'backgroundBrightness', 'highlights', 'sharpness', 'processingTime',
+    'yaw', 'pitch', 'similarity', 'faceX', 'faceY', 'faceWidth', 'faceHeight', 'flags', 'event', 'detail'
+];
+
+/**
+ * Create a session log
+ * @param {Object} [metadata] - Session metadata merged into exports (e.g. userAgent)
+ * @returns {Object} Session log controls
+ */
+export function createSessionLog(metadata = {}) {
+    const sessionMetadata = {
+        sessionId: createSessionId(),
+        startTime: null,
+        endTime: null,
+        ...metadata
+    };
+
+    let capacity = INITIAL_CAPACITY;
+    let sampleCount = 0;
+    let columns = allocateColumns(capacity);
+    const transitions = [];
+    const events = [];
+    let evidenceBytes = 0;
+    let evidenceDropped = 0;
+
+    /**
+     * Grow column storage when full (doubling keeps appends amortized O(1))
+     */
+    function ensureCapacity() {
+        if (sampleCount < capacity) {
+            return;
+        }
+        capacity *= 2;
+        const grown = allocateColumns(capacity);
+        for (const name of Object.keys(SAMPLE_COLUMNS)) {
+            grown[name].set(columns[name]);
+        }
+        columns = grown;
+    }
+
+    /**
+     * Record raw metrics from one analysis
+     * @param {Object} analysis - frameProcessor onAnalysis payload
+     * @param {number} [timestamp] - Defaults to analysis.timestamp, then Date.now()
+     */
+    function recordSample(analysis, timestamp = analysis.timestamp ?? Date.now()) {
+        ensureCapacity();
+        const i = sampleCount++;
+        columns.timestamp[i] = timestamp;
+        columns.faceCount[i] = Math.min(analysis.faceCount, 255);
+        columns.brightness[i] = analysis.brightness ?? NaN;
+        columns.contrast[i] = analysis.frameContrast ?? NaN;
+        columns.frameChange[i] = analysis.frameChange ?? NaN;
+        columns.faceBrightness[i] = analysis.lighting?.faceBrightness ?? NaN;
+        columns.backgroundBrightness[i] = analysis.lighting?.backgroundBrightness ?? NaN;
+        columns.highlights[i] = analysis.lighting?.highlights ?? NaN;
+        columns.sharpness[i] = analysis.sharpness ?? NaN;
+        columns.processingTime[i] = analysis.processingTime ?? NaN;
+        columns.yaw[i] = analysis.headPose?.yaw ?? NaN;
+        columns.pitch[i] = analysis.headPose?.pitch ?? NaN;
+        columns.similarity[i] = analysis.identitySimilarity ?? NaN;
+        // Same rule as flagManager framing: only a single face has a meaningful box
+        const box = analysis.faceCount === 1 ? analysis.faces?.[0]?.box : null;
+        columns.faceX[i] = box?.x ?? NaN;
+        columns.faceY[i] = box?.y ?? NaN;
+        columns.faceWidth[i] = box?.width ?? NaN;
+        columns.faceHeight[i] = box?.height ?? NaN;
+    }
+
+    /**
+     * Record a flag set change
+     * @param {Object} entry - flagManager history entry ({ timestamp, flags, details })
+     */
+    function recordTransition(entry) {
+        transitions.push(entry);
+    }
+
+    /**
+     * Attach evidence thumbnails to a recorded sample transition
+     * Refused (and counted) once the session's evidence would exceed MAX_EVIDENCE_BYTES.
+     * @param {number} timestamp - Timestamp of the transition
+     * @param {Object} evidence - { flags, frames: [{ timestamp, dataUrl }] }
+     * @returns {boolean} Whether the evidence was stored
+     */
+    function attachEvidence(timestamp, evidence) {
+        const index = transitions.findLastIndex((entry) =>
+            entry.timestamp === timestamp && !entry.event && entry.details?.source !== 'environment'
+        );
+        if (index === -1) {
+            return false;
+        }
+
+        const size = evidence.frames.reduce((total, frame) => total + frame.dataUrl.length, 0);
+        if (evidenceBytes + size > MAX_EVIDENCE_BYTES) {
+            evidenceDropped++;
+            console.warn(`[sessionLog] Evidence dropped at ${timestamp}: ${MAX_EVIDENCE_BYTES} byte cap reached`);
+            return false;
+        }
+
+        evidenceBytes += size;
+        transitions[index] = { ...transitions[index], evidence };
+        return true;
+    }
+
+    /**
+     * Record a processor lifecycle event
+     * @param {string} event - 'started', 'stopped', 'disabled', 'error', ...
+     * @param {Object} [detail] - Event-specific data
+     * @param {number} [timestamp=Date.now()]
+     */
+    function recordEvent(event, detail = {}, timestamp = Date.now()) {
+        if (event === 'started' && sessionMetadata.startTime === null) {
+            sessionMetadata.startTime = timestamp;
+        }
+        if (event === 'stopped') {
+            sessionMetadata.endTime = timestamp;
+        }
+        events.push({ timestamp, event, detail });
+    }
+
+    /**
+     * Merge extra metadata (e.g. camera resolution once known)
+     * @param {Object} values
+     */
+    function setMetadata(values) {
+        Object.assign(sessionMetadata, values);
+    }
+
+    /**
+     * Expand stored samples back into objects
+     * @returns {Array<Object>}
+     */
+    function getSamples() {
+        const samples = new Array(sampleCount);
+        for (let i = 0; i < sampleCount; i++) {
+            samples[i] = {
+                timestamp: columns.timestamp[i],
+                faceCount: columns.faceCount[i],
+                brightness: round(columns.brightness[i]),
+                contrast: round(columns.contrast[i]),
+                frameChange: Number.isNaN(columns.frameChange[i]) ? null : Math.round(columns.frameChange[i] * 100) / 100,
+                faceBrightness: round(columns.faceBrightness[i]),
+                backgroundBrightness: round(columns.backgroundBrightness[i]),
+                highlights: Number.isNaN(columns.highlights[i]) ? null : Math.round(columns.highlights[i] * 1000) / 1000,
+                sharpness: round(columns.sharpness[i]),
+                processingTime: round(columns.processingTime[i]),
+                yaw: round(columns.yaw[i]),
+                pitch: round(columns.pitch[i]),
+                similarity: Number.isNaN(columns.similarity[i]) ? null : Math.round(columns.similarity[i] * 100) / 100,
+                faceX: roundFraction(columns.faceX[i]),
+                faceY: roundFraction(columns.faceY[i]),
+                faceWidth: roundFraction(columns.faceWidth[i]),
+                faceHeight: roundFraction(columns.faceHeight[i])
+            };
+        }
+        return samples;
+    }
+
+    /**
+     * Export the full session as a JSON-serializable object
+     * @returns {Object} { metadata, samples, transitions, events }
+     */
+    function toJSON() {
+        return {
+            metadata: {
+                ...sessionMetadata,
+                endTime: sessionMetadata.endTime ?? Date.now(),
+                sampleCount,
+                evidenceDropped
+            },
+            samples: getSamples(),
+            transitions: [...transitions],
+            events: [...events]
+        };
+    }
+
+    /**
+     * Export the full session as CSV, one row per record ordered by time.
+     * Metadata is written as leading "# key: value" comment lines.
+     * @returns {string}
+     */
+    function toCSV() {
+        const { metadata, samples } = toJSON();
+
+        const rows = [
+            ...samples.map((s) => ({ ...s, type: 'sample' })),
+            ...transitions.map((t) => ({
+                timestamp: t.timestamp,
+                type: 'flags',
+                flags: t.flags.join('|')
+            })),
+            ...events.map((e) => ({
+                timestamp: e.timestamp,
+                type: 'event',
+                event: e.event,
+                detail: Object.keys(e.detail).length > 0 ? JSON.stringify(e.detail) : ''
+            }))
+        ].sort((a, b) => a.timestamp - b.timestamp);
+
+        const lines = [
+            ...Object.entries(metadata).map(([key, value]) =>
+                `# ${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value ?? ''}`
+            ),
+            CSV_HEADER.join(','),
+            ...rows.map((row) => CSV_HEADER.map((column) =>
+                column === 'time' ? new Date(row.timestamp).toISOString() : csvValue(row[column])
+            ).join(','))
+        ];
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Get record counts (for display)
+     */
+    function getStats() {
+        return {
+            samples: sampleCount,
+            transitions: transitions.length,
+            events: events.length,
+            evidenceBytes,
+            evidenceDropped
+        };
+    }
+
+    return {
+        recordSample,
+        recordTransition,
+        attachEvidence,
+        recordEvent,
+        setMetadata,
+        getSamples,
+        getStats,
+        toJSON,
+        toCSV
+    };
+}
+
+/**
+ * Helper: Allocate one typed array per sample column
+ */
+function allocateColumns(capacity) {
+    const columns = {};
+    for (const [name, ArrayType] of Object.entries(SAMPLE_COLUMNS)) {
+        columns[name] = new ArrayType(capacity);
+    }
+    return columns;
+}
+
+/**
+ * Helper: Round to 0.1 precision, mapping NaN back to null
+ */
+function round(value) {
+    return Number.isNaN(value) ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Helper: Round a 0-1 fraction to 4 decimals (NaN -> null)
+ */
+function roundFraction(value) {
+    return Number.isNaN(value) ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Helper: Escape a CSV cell
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Helper: Short unique-enough session id (time + random suffix)
+ */
+function createSessionId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,110 @@
+/**
+ * sessionSchema.js - Validation for uploaded session reports
+ *
+ * DESIGN DECISIONS:
+ * - Hand-rolled checks, no schema library: the report shape is small and
+ *   mirrors createSessionLog().toJSON()
+ * - Collects every problem instead of stopping at the first, so the
+ *   harness gets one actionable error response
+ * - Shared by the API route and the page (pre-upload check)
+ */
+
+// Session ids become file names on the server, so keep them path-safe
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validate a session report
+ * @param {*} report - Parsed request body
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateSessionReport(report) {
+    const errors = [];
+
+    if (!isObject(report)) {
+        return { valid: false, errors: ['report must be an object'] };
+    }
+
+    // Metadata
+    const { metadata } = report;
+    if (!isObject(metadata)) {
+        errors.push('metadata must be an object');
+    } else {
+        if (typeof metadata.sessionId !== 'string' || !SESSION_ID_PATTERN.test(metadata.sessionId)) {
+            errors.push('metadata.sessionId must be 1-64 letters, digits, "-" or "_"');
+        }
+        if (!isTimestamp(metadata.startTime)) {
+            errors.push('metadata.startTime must be a timestamp in ms');
+        }
+        if (!isTimestamp(metadata.endTime)) {
+            errors.push('metadata.endTime must be a timestamp in ms');
+        }
+        if (isTimestamp(metadata.startTime) && isTimestamp(metadata.endTime) &&
+            metadata.endTime < metadata.startTime) {
+            errors.push('metadata.endTime must not be before metadata.startTime');
+        }
+    }
+
+    // Per-sample metrics
+    checkArray(report.samples, 'samples', errors, (sample, path) => {
+        if (!isTimestamp(sample.timestamp)) errors.push(`${path}.timestamp must be a timestamp in ms`);
+        if (!Number.isInteger(sample.faceCount) || sample.faceCount < 0) {
+            errors.push(`${path}.faceCount must be a non-negative integer`);
+        }
+        // Null on samples where the pixel readback was skipped (degraded processing)
+        if (sample.brightness !== null && typeof sample.brightness !== 'number') {
+            errors.push(`${path}.brightness must be a number or null`);
+        }
+    });
+
+    // Flag transitions (flagManager history entries)
+    checkArray(report.transitions, 'transitions', errors, (entry, path) => {
+        if (!isTimestamp(entry.timestamp)) errors.push(`${path}.timestamp must be a timestamp in ms`);
+        if (!Array.isArray(entry.flags) || !entry.flags.every((flag) => typeof flag === 'string')) {
+            errors.push(`${path}.flags must be an array of strings`);
+        }
+        // Evidence thumbnails are rendered by the review UI, so only image data URLs
+        if (entry.evidence !== undefined) {
+            const frames = entry.evidence?.frames;
+            if (!Array.isArray(frames) || !frames.every((frame) =>
+                isObject(frame) && typeof frame.dataUrl === 'string' && frame.dataUrl.startsWith('data:image/')
+            )) {
+                errors.push(`${path}.evidence.frames must be an array of { timestamp, dataUrl } image data URLs`);
+            }
+        }
+    });
+
+    // Processor events
+    checkArray(report.events, 'events', errors, (entry, path) => {
+        if (!isTimestamp(entry.timestamp)) errors.push(`${path}.timestamp must be a timestamp in ms`);
+        if (typeof entry.event !== 'string') errors.push(`${path}.event must be a string`);
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Helper: Validate an array of objects, stopping after a few bad items
+ */
+function checkArray(value, name, errors, checkItem) {
+    if (!Array.isArray(value)) {
+        errors.push(`${name} must be an array`);
+        return;
+    }
+
+    const maxErrors = errors.length + 10;
+    for (let i = 0; i < value.length && errors.length < maxErrors; i++) {
+        if (!isObject(value[i])) {
+            errors.push(`${name}[${i}] must be an object`);
+        } else {
+            checkItem(value[i], `${name}[${i}]`);
+        }
+    }
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isTimestamp(value) {
+    return Number.isFinite(value) && value >= 0;
+}
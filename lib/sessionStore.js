@@ -0,0 +1,173 @@
+/**
+ * sessionStore.js - Local disk storage for session reports (server only)
+ *
+ * DESIGN DECISIONS:
+ * - One JSON file per session plus a small summary file, so listing never
+ *   has to parse full reports and concurrent uploads never share a file
+ * - Writes go through a temp file + rename to avoid half-written reports;
+ *   reports are linked into place instead, so an existing session id is
+ *   never overwritten (first upload wins, re-uploads are refused)
+ * - Listing skips summary files it can't read or parse (logged), so one bad
+ *   file doesn't hide every other session
+ * - Directory configurable via SESSION_STORE_DIR (default ./data/sessions)
+ *
+ * NOTE: Import only from API routes; uses node:fs.
+ */
+
+import { link, mkdir, readdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { SESSION_ID_PATTERN } from './sessionSchema';
+
+const STORE_DIR = path.resolve(process.env.SESSION_STORE_DIR || path.join(process.cwd(), 'data', 'sessions'));
+
+const SUMMARY_SUFFIX = '.summary.json';
+
+/**
+ * Build the summary stored next to each report
+ * @param {Object} report - Validated session report
+ * @param {number} receivedAt - Server receive time
+ * @returns {Object} Summary used by the list endpoint
+ */
+function summarize(report, receivedAt) {
+    const flagTypes = new Set();
+    report.transitions.forEach((entry) => entry.flags.forEach((flag) => flagTypes.add(flag)));
+
+    return {
+        id: report.metadata.sessionId,
+        startTime: report.metadata.startTime,
+        endTime: report.metadata.endTime,
+        receivedAt,
+        sampleCount: report.samples.length,
+        transitionCount: report.transitions.length,
+        flagTypes: [...flagTypes].sort()
+    };
+}
+
+/**
+ * Write a file atomically (temp file + rename)
+ */
+async function writeAtomic(file, content) {
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(temp, content);
+    await rename(temp, file);
+}
+
+/**
+ * Write a file atomically unless it already exists (temp file + link)
+ * @returns {Promise<boolean>} false if the file already existed
+ */
+async function writeAtomicExclusive(file, content) {
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(temp, content);
+    try {
+        await link(temp, file);
+        return true;
+    } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+    } finally {
+        await unlink(temp);
+    }
+}
+
+/**
+ * Read and parse a summary file
+ * @returns {Promise<Object|null>} Summary, or null if unreadable
+ */
+async function readSummary(file) {
+    try {
+        const summary = JSON.parse(await readFile(path.join(STORE_DIR, file), 'utf8'));
+        if (!Array.isArray(summary?.flagTypes)) {
+            throw new Error('not a session summary');
+        }
+        return summary;
+    } catch (error) {
+        console.warn(`[sessionStore] Skipping unreadable summary ${file}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Resolve a report file path, rejecting unsafe ids
+ * @param {string} id - Session id
+ * @param {string} [suffix='.json']
+ * @returns {string|null} Absolute path, or null if the id is invalid
+ */
+function reportPath(id, suffix = '.json') {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+        return null;
+    }
+    return path.join(STORE_DIR, `${id}${suffix}`);
+}
+
+/**
+ * Store a validated session report
+ * A session id is stored once: re-uploading it leaves the stored copy as it is.
+ * @param {Object} report - Validated session report
+ * @returns {Promise<Object|null>} Stored summary, or null if the session id already exists
+ */
+export async function saveSession(report) {
+    await mkdir(STORE_DIR, { recursive: true });
+
+    const receivedAt = Date.now();
+    const summary = summarize(report, receivedAt);
+    const id = report.metadata.sessionId;
+
+    if (!await writeAtomicExclusive(reportPath(id), JSON.stringify({ ...report, receivedAt }))) {
+        return null;
+    }
+    await writeAtomic(reportPath(id, SUMMARY_SUFFIX), JSON.stringify(summary));
+
+    return summary;
+}
+
+/**
+ * List stored session summaries, newest first
+ * @param {Object} [filters]
+ * @param {number} [filters.from] - Only sessions starting at or after (ms)
+ * @param {number} [filters.to] - Only sessions starting at or before (ms)
+ * @param {string} [filters.flag] - Only sessions that raised this flag
+ * @returns {Promise<Object[]>} Summaries (unreadable summary files are skipped)
+ */
+export async function listSessions({ from, to, flag } = {}) {
+    let files;
+    try {
+        files = await readdir(STORE_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const summaries = await Promise.all(
+        files
+            .filter((file) => file.endsWith(SUMMARY_SUFFIX))
+            .map(readSummary)
+    );
+
+    return summaries
+        .filter((summary) => summary !== null &&
+            (from === undefined || summary.startTime >= from) &&
+            (to === undefined || summary.startTime <= to) &&
+            (flag === undefined || summary.flagTypes.includes(flag))
+        )
+        .sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * Load a full session report
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} Report, or null if missing or id is invalid
+ */
+export async function getSession(id) {
+    const file = reportPath(id);
+    if (!file) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
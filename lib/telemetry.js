@@ -0,0 +1,271 @@
+/**
+ * telemetry.js - Rolling performance statistics for the frame processor
+ *
+ * DESIGN DECISIONS:
+ * - Owned by frameProcessor (which knows about skips and overruns); the
+ *   page only reads snapshots, so the numbers mean the same in every mode
+ * - Two views of processing time: a rolling window of recent samples for
+ *   the live panel, and a fixed 1 ms histogram over the whole run for the
+ *   benchmark report (percentiles without keeping every sample)
+ * - Achieved sample rate comes from wall-clock sample completions, so
+ *   skipped ticks and degradation show up instead of the configured rate
+ * - Main-thread long tasks via PerformanceObserver('longtask') where
+ *   supported; JS heap via the non-standard performance.memory (Chromium)
+ * - No imports, so headless Node runs can use it
+ *
+ * PERFORMANCE CONSIDERATIONS:
+ * - Fixed memory: window and histogram are preallocated typed arrays
+ * - Percentiles are computed only when a snapshot is requested
+ */
+
+// Samples in the rolling window (~1 minute at 2 FPS)
+export const ROLLING_WINDOW = 120;
+
+// Histogram resolution and range; slower samples land in the last bucket
+const HISTOGRAM_BUCKET_MS = 1;
+const HISTOGRAM_MAX_MS = 2000;
+
+// Long tasks within this span count as "recent"
+const LONG_TASK_RECENT_MS = 60000;
+
+/**
+ * Create a telemetry recorder
+ * @returns {Object} Telemetry controls
+ */
+export function createTelemetry() {
+    const windowTimes = new Float32Array(ROLLING_WINDOW);
+    const windowCompletions = new Float64Array(ROLLING_WINDOW);
+    const histogram = new Uint32Array(Math.ceil(HISTOGRAM_MAX_MS / HISTOGRAM_BUCKET_MS) + 1);
+    let windowCount = 0;
+    let windowNext = 0;
+    // Completions since the last start(), so a pause doesn't read as a slow rate
+    let completionsSinceStart = 0;
+
+    let samples = 0;
+    let skipped = 0;
+    let overruns = 0;
+    let totalMs = 0;
+    let maxMs = 0;
+
+    let longTaskObserver = null;
+    let longTasks = { count: 0, totalMs: 0, maxMs: 0 };
+    let recentLongTasks = []; // Start times (performance.now) within LONG_TASK_RECENT_MS
+
+    /**
+     * Record one analyzed sample
+     * @param {number} processingTime - ms
+     * @param {boolean} overran - Whether it exceeded the processing budget
+     */
+    function recordSample(processingTime, overran) {
+        windowTimes[windowNext] = processingTime;
+        windowCompletions[windowNext] = performance.now();
+        windowNext = (windowNext + 1) % ROLLING_WINDOW;
+        windowCount = Math.min(windowCount + 1, ROLLING_WINDOW);
+        completionsSinceStart++;
+
+        const bucket = Math.min(Math.floor(processingTime / HISTOGRAM_BUCKET_MS), histogram.length - 1);
+        histogram[bucket]++;
+
+        samples++;
+        totalMs += processingTime;
+        maxMs = Math.max(maxMs, processingTime);
+        if (overran) {
+            overruns++;
+        }
+    }
+
+    /**
+     * Record a sampling tick dropped because the previous analysis was still running
+     */
+    function recordSkip() {
+        skipped++;
+    }
+
+    /**
+     * Begin a sampling run: resets the achieved-rate window and observes long tasks
+     */
+    function start() {
+        completionsSinceStart = 0;
+
+        if (longTaskObserver || typeof PerformanceObserver === 'undefined' ||
+            !PerformanceObserver.supportedEntryTypes?.includes('longtask')) {
+            return;
+        }
+        longTaskObserver = new PerformanceObserver((list) => {
+            for (const entry of list.getEntries()) {
+                longTasks = {
+                    count: longTasks.count + 1,
+                    totalMs: longTasks.totalMs + entry.duration,
+                    maxMs: Math.max(longTasks.maxMs, entry.duration)
+                };
+                recentLongTasks.push(entry.startTime);
+            }
+        });
+        longTaskObserver.observe({ type: 'longtask' });
+    }
+
+    /**
+     * End a sampling run (long tasks while stopped aren't the processor's)
+     */
+    function stop() {
+        if (longTaskObserver) {
+            longTaskObserver.disconnect();
+            longTaskObserver = null;
+        }
+    }
+
+    /**
+     * Samples per second over the rolling window, since the last start()
+     * @returns {number|null} null until two samples completed
+     */
+    function getAchievedFps() {
+        const count = Math.min(windowCount, completionsSinceStart);
+        if (count < 2) {
+            return null;
+        }
+        const newest = windowCompletions[(windowNext - 1 + ROLLING_WINDOW) % ROLLING_WINDOW];
+        const oldest = windowCompletions[(windowNext - count + ROLLING_WINDOW) % ROLLING_WINDOW];
+        return newest > oldest ? ((count - 1) * 1000) / (newest - oldest) : null;
+    }
+
+    /**
+     * Get current statistics
+     * @returns {Object} { samples, skipped, overruns, achievedFps, recent, session, heap, longTasks }
+     */
+    function getSnapshot() {
+        const recent = Array.from(windowTimes.subarray(0, windowCount)).sort((a, b) => a - b);
+
+        const cutoff = performance.now() - LONG_TASK_RECENT_MS;
+        recentLongTasks = recentLongTasks.filter((startTime) => startTime >= cutoff);
+
+        return {
+            samples,
+            skipped,
+            overruns,
+            overrunRate: samples > 0 ? overruns / samples : 0,
+            achievedFps: getAchievedFps(),
+            // Rolling window of the latest ROLLING_WINDOW samples
+            recent: {
+                samples: recent.length,
+                p50: percentile(recent, 0.5),
+                p95: percentile(recent, 0.95),
+                max: recent.length > 0 ? recent[recent.length - 1] : null
+            },
+            // Whole run, from the histogram (1 ms resolution)
+            session: {
+                mean: samples > 0 ? totalMs / samples : null,
+                p50: histogramPercentile(histogram, samples, 0.5),
+                p95: histogramPercentile(histogram, samples, 0.95),
+                p99: histogramPercentile(histogram, samples, 0.99),
+                max: samples > 0 ? maxMs : null
+            },
+            heap: readHeap(),
+            longTasks: longTaskObserver || longTasks.count > 0
+                ? { ...longTasks, lastMinute: recentLongTasks.length }
+                : null
+        };
+    }
+
+    /**
+     * Forget everything (new processor run)
+     */
+    function reset() {
+        stop();
+        windowCount = 0;
+        windowNext = 0;
+        completionsSinceStart = 0;
+        histogram.fill(0);
+        samples = 0;
+        skipped = 0;
+        overruns = 0;
+        totalMs = 0;
+        maxMs = 0;
+        longTasks = { count: 0, totalMs: 0, maxMs: 0 };
+        recentLongTasks = [];
+    }
+
+    return {
+        recordSample,
+        recordSkip,
+        start,
+        stop,
+        getSnapshot,
+        reset
+    };
+}
+
+/**
+ * Build a benchmark report around a telemetry snapshot
+ * @param {Object} snapshot - createTelemetry().getSnapshot() result
+ * @param {Object} [context] - What was measured (detector, mode, sampler, degradation, ...)
+ * @returns {Object} JSON-serializable report
+ */
+export function createBenchmarkReport(snapshot, context = {}) {
+    return {
+        generatedAt: new Date().toISOString(),
+        environment: getEnvironmentInfo(),
+        ...context,
+        telemetry: snapshot
+    };
+}
+
+/**
+ * Describe the machine a measurement ran on (browser only; empty in Node)
+ * @returns {Object} { userAgent, hardwareConcurrency, deviceMemory }
+ */
+export function getEnvironmentInfo() {
+    if (typeof navigator === 'undefined') {
+        return {};
+    }
+    return {
+        userAgent: navigator.userAgent,
+        hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+        deviceMemory: navigator.deviceMemory ?? null
+    };
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - 0-1
+ * @returns {number|null} null for no values
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil(p * sorted.length) - 1;
+    return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+}
+
+/**
+ * Helper: Nearest-rank percentile from histogram counts (bucket upper edge)
+ */
+function histogramPercentile(histogram, total, p) {
+    if (total === 0) {
+        return null;
+    }
+    const target = Math.ceil(p * total);
+    let seen = 0;
+    for (let bucket = 0; bucket < histogram.length; bucket++) {
+        seen += histogram[bucket];
+        if (seen >= target) {
+            return (bucket + 1) * HISTOGRAM_BUCKET_MS;
+        }
+    }
+    return null;
+}
+
+/**
+ * Helper: JS heap in MB where the browser exposes it (Chromium only)
+ */
+function readHeap() {
+    const memory = typeof performance !== 'undefined' ? performance.memory : undefined;
+    if (!memory) {
+        return null;
+    }
+    return {
+        usedMB: Math.round(memory.usedJSHeapSize / 1048576 * 10) / 10,
+        limitMB: Math.round(memory.jsHeapSizeLimit / 1048576)
+    };
+}
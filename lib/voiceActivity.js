@@ -0,0 +1,272 @@
+/**
+ * voiceActivity.js - Opt-in microphone voice-activity monitor
+ *
+ * DESIGN DECISIONS:
+ * - Analysis only: the microphone stream feeds a Web Audio AnalyserNode and
+ *   nothing else; no MediaRecorder, no buffers kept beyond the current
+ *   analysis window, so audio is never recorded or uploaded
+ * - Cheap VAD per tick: RMS energy against an adaptive noise floor, zero
+ *   crossing rate (speech sits between hum and hiss) and the share of
+ *   spectral energy in the voice band (300-3400 Hz)
+ * - Reports plain booleans like environmentMonitor; flagManager's
+ *   updateEnvironment turns them into SPEECH_DETECTED / SUSTAINED_NOISE
+ *   with durations
+ * - Smoothing is frame counting: speech needs a few voiced ticks and clears
+ *   after a hangover; noise needs several seconds of loud non-speech
+ * - No imports; the measurement helpers run anywhere
+ *
+ * PERFORMANCE CONSIDERATIONS:
+ * - setInterval at 10 Hz (NOT requestAnimationFrame), reusing typed arrays
+ * - Level callback throttled for the page's meter
+ */
+
+// Analysis tick and analyser window
+const TICK_MS = 100;
+const FFT_SIZE = 2048;
+
+// How often to report the input level for a meter
+const LEVEL_REPORT_MS = 250;
+
+// Energy thresholds in dBFS
+export const SPEECH_LEVEL_DB = -50;
+export const NOISE_LEVEL_DB = -35;
+// Speech must also stand this far above the adaptive noise floor
+const SPEECH_MARGIN_DB = 10;
+// Noise floor rise per tick when the level is above it (dB)
+const NOISE_FLOOR_RISE_DB = 0.05;
+
+// Zero crossings per second that fit voiced speech (below: hum, above: hiss)
+const SPEECH_MIN_CROSSINGS_HZ = 150;
+const SPEECH_MAX_CROSSINGS_HZ = 3500;
+
+// Voice band and the share of energy it must hold
+const VOICE_BAND_HZ = [300, 3400];
+const ANALYSIS_BAND_HZ = [80, 8000];
+const SPEECH_BAND_RATIO = 0.5;
+
+// Smoothing (in ticks): voiced ticks within the window to raise speech,
+// silent ticks to clear it, loud ticks in a row to raise noise
+const SPEECH_WINDOW_TICKS = 5;
+const SPEECH_RAISE_TICKS = 3;
+const SPEECH_HANGOVER_TICKS = 15;
+const NOISE_RAISE_TICKS = 50;
+const NOISE_CLEAR_TICKS = 10;
+
+/**
+ * Measure one analysis window
+ * @param {Float32Array} samples - Time-domain samples (-1..1)
+ * @param {Float32Array} spectrum - Frequency-domain magnitudes in dB (AnalyserNode)
+ * @param {number} sampleRate - Hz
+ * @returns {Object} { levelDb, crossingsHz, voiceBandRatio }
+ */
+export function measureAudioFrame(samples, spectrum, sampleRate) {
+    let sumSquares = 0;
+    let crossings = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sumSquares += samples[i] * samples[i];
+        if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+            crossings++;
+        }
+    }
+    const rms = Math.sqrt(sumSquares / samples.length);
+    const durationSeconds = samples.length / sampleRate;
+
+    // Spectrum bins are evenly spaced up to Nyquist
+    const binHz = sampleRate / 2 / spectrum.length;
+    let voiceEnergy = 0;
+    let totalEnergy = 0;
+    for (let bin = 0; bin < spectrum.length; bin++) {
+        const frequency = bin * binHz;
+        if (frequency < ANALYSIS_BAND_HZ[0] || frequency > ANALYSIS_BAND_HZ[1]) {
+            continue;
+        }
+        const power = 10 ** (spectrum[bin] / 10);
+        totalEnergy += power;
+        if (frequency >= VOICE_BAND_HZ[0] && frequency <= VOICE_BAND_HZ[1]) {
+            voiceEnergy += power;
+        }
+    }
+
+    return {
+        levelDb: rms > 0 ? 20 * Math.log10(rms) : -100,
+        // Two crossings per period, so this approximates the dominant frequency
+        crossingsHz: crossings / 2 / durationSeconds,
+        voiceBandRatio: totalEnergy > 0 ? voiceEnergy / totalEnergy : 0
+    };
+}
+
+/**
+ * Check whether a measured window looks like voiced speech
+ * @param {Object} frame - measureAudioFrame result
+ * @param {number} noiseFloorDb - Current adaptive noise floor
+ * @returns {boolean}
+ */
+export function isVoicedFrame(frame, noiseFloorDb) {
+    return frame.levelDb > Math.max(SPEECH_LEVEL_DB, noiseFloorDb + SPEECH_MARGIN_DB) &&
+        frame.crossingsHz >= SPEECH_MIN_CROSSINGS_HZ &&
+        frame.crossingsHz <= SPEECH_MAX_CROSSINGS_HZ &&
+        frame.voiceBandRatio >= SPEECH_BAND_RATIO;
+}
+
+/**
+ * Create a voice-activity monitor
+ * @param {Object} options
+ * @param {Function} options.onChange - Called with { speechDetected, sustainedNoise } on every change
+ * @param {Function} [options.onLevel] - Called with the input level in dBFS (throttled)
+ * @returns {Object} Monitor controls ({ start, stop, getStatus })
+ */
+export function createVoiceActivityMonitor({ onChange, onLevel }) {
+    let stream = null;
+    let context = null;
+    let analyser = null;
+    let intervalId = null;
+    // Bumped by stop(), so a start() still waiting for permission gives up
+    let generation = 0;
+    let samples = null;
+    let spectrum = null;
+
+    let noiseFloorDb = SPEECH_LEVEL_DB;
+    let recentVoiced = [];
+    let silentTicks = 0;
+    let loudTicks = 0;
+    let quietTicks = 0;
+    let lastLevelReport = 0;
+    let levelDb = null;
+    let status = { speechDetected: false, sustainedNoise: false };
+
+    /**
+     * Analyze the current window and update the smoothed status
+     */
+    function tick() {
+        analyser.getFloatTimeDomainData(samples);
+        analyser.getFloatFrequencyData(spectrum);
+        const frame = measureAudioFrame(samples, spectrum, context.sampleRate);
+        const voiced = isVoicedFrame(frame, noiseFloorDb);
+        levelDb = frame.levelDb;
+
+        // Follow quiet passages down at once, loud ones up only slowly
+        noiseFloorDb = frame.levelDb < noiseFloorDb
+            ? frame.levelDb
+            : noiseFloorDb + NOISE_FLOOR_RISE_DB;
+
+        recentVoiced.push(voiced);
+        if (recentVoiced.length > SPEECH_WINDOW_TICKS) {
+            recentVoiced.shift();
+        }
+        silentTicks = voiced ? 0 : silentTicks + 1;
+
+        let speechDetected = status.speechDetected;
+        if (!speechDetected && recentVoiced.filter(Boolean).length >= SPEECH_RAISE_TICKS) {
+            speechDetected = true;
+        } else if (speechDetected && silentTicks >= SPEECH_HANGOVER_TICKS) {
+            speechDetected = false;
+        }
+
+        // Noise: loud for a while without being speech
+        if (frame.levelDb > NOISE_LEVEL_DB && !speechDetected) {
+            loudTicks++;
+            quietTicks = 0;
+        } else {
+            quietTicks++;
+            if (quietTicks >= NOISE_CLEAR_TICKS) {
+                loudTicks = 0;
+            }
+        }
+        let sustainedNoise = status.sustainedNoise;
+        if (!sustainedNoise && loudTicks >= NOISE_RAISE_TICKS) {
+            sustainedNoise = true;
+        } else if (sustainedNoise && (speechDetected || quietTicks >= NOISE_CLEAR_TICKS)) {
+            sustainedNoise = false;
+        }
+
+        if (speechDetected !== status.speechDetected || sustainedNoise !== status.sustainedNoise) {
+            status = { speechDetected, sustainedNoise };
+            onChange(status);
+        }
+
+        const now = Date.now();
+        if (onLevel && now - lastLevelReport >= LEVEL_REPORT_MS) {
+            lastLevelReport = now;
+            onLevel(levelDb);
+        }
+    }
+
+    /**
+     * Request the microphone and start analyzing
+     * Must follow a user gesture somewhere on the page (AudioContext autoplay rules).
+     */
+    async function start() {
+        if (intervalId || stream) {
+            return;
+        }
+        const startGeneration = generation;
+
+        // Raw signal: processing would hide the noise we want to measure
+        const micStream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+            video: false
+        });
+        if (startGeneration !== generation) {
+            micStream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        stream = micStream;
+
+        context = new AudioContext();
+        await context.resume();
+        if (startGeneration !== generation) {
+            return;
+        }
+        analyser = context.createAnalyser();
+        analyser.fftSize = FFT_SIZE;
+        analyser.smoothingTimeConstant = 0;
+        // Source -> analyser only; nothing reaches the speakers or a recorder
+        context.createMediaStreamSource(stream).connect(analyser);
+
+        samples = new Float32Array(analyser.fftSize);
+        spectrum = new Float32Array(analyser.frequencyBinCount);
+
+        intervalId = setInterval(tick, TICK_MS);
+        console.log(`[voiceActivity] Started (${context.sampleRate} Hz, ${TICK_MS}ms ticks)`);
+        onChange(status);
+    }
+
+    /**
+     * Stop analyzing and release the microphone
+     */
+    async function stop() {
+        generation++;
+        if (intervalId) {
+            clearInterval(intervalId);
+            intervalId = null;
+        }
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            stream = null;
+        }
+        if (context) {
+            await context.close();
+            context = null;
+            analyser = null;
+            console.log('[voiceActivity] Stopped');
+        }
+
+        noiseFloorDb = SPEECH_LEVEL_DB;
+        recentVoiced = [];
+        silentTicks = 0;
+        loudTicks = 0;
+        quietTicks = 0;
+        levelDb = null;
+        status = { speechDetected: false, sustainedNoise: false };
+    }
+
+    function getStatus() {
+        return { ...status, levelDb, noiseFloorDb, isRunning: intervalId !== null };
+    }
+
+    return {
+        start,
+        stop,
+        getStatus
+    };
+}
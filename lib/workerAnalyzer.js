@@ -0,0 +1,138 @@
+/**
+ * workerAnalyzer.js - Main-thread handle for the detection worker
+ *
+ * DESIGN DECISIONS:
+ * - Backends are selected by registry id, since functions can't be posted
+ * - Frames travel as transferred ImageBitmaps (zero-copy)
+ * - Request/response pairs are matched by id; a crashed worker rejects
+ *   everything in flight so frameProcessor sees an ordinary error
+ *
+ * Handed to createFrameProcessor as `worker`; see lib/workers/detection.worker.js
+ * for the message protocol.
+ */
+
+// How long close() waits for the worker to release models before terminating
+const CLOSE_TIMEOUT_MS = 1000;
+
+/**
+ * Check whether worker mode can run in this browser
+ * @returns {boolean}
+ */
+export function isWorkerModeSupported() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function';
+}
+
+/**
+ * Create a worker analyzer
+ * @param {Object} config
+ * @param {Object} config.detector - { id, options } (id from DETECTOR_BACKENDS)
+ * @param {Object|null} [config.identity] - { id, options } (id from IDENTITY_BACKENDS)
+ * @returns {Object} { name, init, analyze, close }
+ */
+export function createWorkerAnalyzer({ detector, identity = null }) {
+    let worker = null;
+    let initPromise = null;
+    let nextId = 0;
+    const pending = new Map();
+
+    function rejectAll(error) {
+        for (const { reject } of pending.values()) {
+            reject(error);
+        }
+        pending.clear();
+    }
+
+    function handleMessage({ data }) {
+        const request = pending.get(data.id);
+        if (!request) {
+            return;
+        }
+        pending.delete(data.id);
+
+        if (data.type === 'error') {
+            request.reject(new Error(`[detection worker] ${data.message}`));
+        } else {
+            request.resolve(data);
+        }
+    }
+
+    function request(message, transfer = []) {
+        if (!worker) {
+            return Promise.reject(new Error('Detection worker is not running'));
+        }
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+            worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    async function init() {
+        // Prevent multiple simultaneous initializations
+        if (!initPromise) {
+            initPromise = (async () => {
+                console.log('[workerAnalyzer] Starting detection worker...');
+                // `type: 'module'` is what makes Turbopack bundle the worker; it then starts
+                // it as a classic worker (chunks loaded with importScripts), which MediaPipe
+                // needs to load its WASM glue (see detection.worker.js)
+                worker = new Worker(new URL('./workers/detection.worker.js', import.meta.url), { type: 'module' });
+                worker.onmessage = handleMessage;
+                worker.onerror = (event) => {
+                    event.preventDefault();
+                    rejectAll(new Error(`[detection worker] ${event.message || 'Worker failed'}`));
+                };
+
+                await request({ type: 'init', detector, identity });
+                console.log('[workerAnalyzer] Detection worker ready');
+            })().catch((error) => {
+                terminate();
+                throw error;
+            });
+        }
+
+        await initPromise;
+    }
+
+    /**
+     * Analyze one frame in the worker
+     * @param {ImageBitmap} bitmap - Transferred; unusable by the caller afterwards
+     * @param {Object} plan - { enroll, compare } identity plan for this sample
+     * @param {Object} [options] - { measureBrightness }
+     * @returns {Promise<Object>} { faceDetection, brightness, signature, lighting, sharpness, identityOutcome }
+     */
+    async function analyze(bitmap, plan, { measureBrightness = true } = {}) {
+        const { faceDetection, brightness, signature, lighting, sharpness, identityOutcome } = await request(
+            { type: 'frame', bitmap, plan, measureBrightness },
+            [bitmap]
+        );
+        return { faceDetection, brightness, signature, lighting, sharpness, identityOutcome };
+    }
+
+    function terminate() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        initPromise = null;
+        rejectAll(new Error('Detection worker terminated'));
+    }
+
+    async function close() {
+        if (worker) {
+            // Let the worker release model resources, but never hang on it
+            const closed = request({ type: 'close' }).catch(() => {});
+            await Promise.race([closed, new Promise((resolve) => setTimeout(resolve, CLOSE_TIMEOUT_MS))]);
+            terminate();
+            console.log('[workerAnalyzer] Detection worker closed');
+        }
+    }
+
+    return {
+        name: `worker:${detector.id}`,
+        init,
+        analyze,
+        close
+    };
+}
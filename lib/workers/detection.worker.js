@@ -0,0 +1,80 @@
+/**
+ * detection.worker.js - Dedicated worker owning the MediaPipe models
+ *
+ * PROTOCOL (every request carries an id echoed in the response):
+ * - { type: 'init', detector: { id, options }, identity: { id, options } | null }
+ *     -> { type: 'ready' }
+ * - { type: 'frame', bitmap: ImageBitmap (transferred), plan: { enroll, compare }, measureBrightness }
+ *     -> { type: 'result', faceDetection, brightness, signature, lighting, sharpness, identityOutcome }
+ * - { type: 'close' } -> { type: 'closed' }
+ * - Any failure -> { type: 'error', message }
+ *
+ * The identity reference embedding lives here and never leaves the worker.
+ */
+
+import { DETECTOR_BACKENDS, IDENTITY_BACKENDS } from '../detectors/registry';
+import { analyzeFrame } from '../frameAnalysis';
+
+// MediaPipe loads its WASM glue with importScripts(), so this must run as a
+// classic worker. Turbopack starts it as one even though workerAnalyzer asks
+// for `type: 'module'` (that option is how it recognizes a worker to bundle).
+// No script is ever eval'd: in a true module worker, model loading fails and
+// frameProcessor falls back to the main thread.
+
+let detector = null;
+let identity = null;
+const identityState = { reference: null };
+let canvas = null;
+let ctx = null;
+
+async function init({ detector: detectorConfig, identity: identityConfig }) {
+    detector = DETECTOR_BACKENDS[detectorConfig.id].create(detectorConfig.options);
+    await detector.init();
+
+    if (identityConfig) {
+        identity = IDENTITY_BACKENDS[identityConfig.id].create(identityConfig.options);
+        await identity.init();
+    }
+}
+
+async function analyze({ bitmap, plan, measureBrightness }) {
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return analyzeFrame({ frame: canvas, ctx, detector, identity, identityState, plan, measureBrightness });
+}
+
+async function close() {
+    await detector?.close();
+    await identity?.close();
+    detector = null;
+    identity = null;
+    identityState.reference = null;
+    canvas = null;
+    ctx = null;
+}
+
+self.onmessage = async ({ data }) => {
+    const { id, type } = data;
+
+    try {
+        if (type === 'init') {
+            await init(data);
+            self.postMessage({ id, type: 'ready' });
+        } else if (type === 'frame') {
+            const result = await analyze(data);
+            self.postMessage({ id, type: 'result', ...result });
+        } else if (type === 'close') {
+            await close();
+            self.postMessage({ id, type: 'closed' });
+        }
+    } catch (error) {
+        data.bitmap?.close();
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};
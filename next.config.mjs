@@ -1,8 +1,24 @@
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+
+// Installed @mediapipe/tasks-vision version, used to pin self-hosted assets
+const require = createRequire(import.meta.url);
+const mediapipePackage = JSON.parse(
+  readFileSync(
+    path.join(path.dirname(require.resolve("@mediapipe/tasks-vision")), "package.json"),
+    "utf8"
+  )
+);
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   /* config options here */
   reactCompiler: true,
   reactStrictMode: true,
+  env: {
+    NEXT_PUBLIC_MEDIAPIPE_VERSION: mediapipePackage.version,
+  },
 };
 
 export default nextConfig;
@@ -0,0 +1,31 @@
+/**
+ * /api/sessions/[id] - Full session report
+ *
+ * GET  200 { session: report } | 401 { error } | 404 { error }
+ *      Needs Authorization: Bearer <SESSION_API_TOKEN> (see lib/sessionAuth.js)
+ */
+
+import { isSessionRequestAuthorized, rejectUnauthorized } from '@/lib/sessionAuth';
+import { getSession } from '@/lib/sessionStore';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  if (!isSessionRequestAuthorized(req)) {
+    return rejectUnauthorized(res);
+  }
+
+  try {
+    const session = await getSession(req.query.id);
+    if (!session) {
+      return res.status(404).json({ error: `Session ${req.query.id} not found` });
+    }
+    return res.status(200).json({ session });
+  } catch (error) {
+    console.error('[api/sessions/[id]] Request failed:', error);
+    return res.status(500).json({ error: 'Failed to access session store' });
+  }
+}
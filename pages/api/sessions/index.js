@@ -0,0 +1,77 @@
+/**
+ * /api/sessions - Session report ingestion and listing
+ *
+ * Both methods need Authorization: Bearer <SESSION_API_TOKEN>; without a
+ * configured token, the API is open in development only (see lib/sessionAuth.js)
+ *
+ * POST  Store a completed session (createSessionLog().toJSON() shape)
+ *       201 { session: summary } | 400 { error, details } | 401 { error }
+ *       | 409 { error } (session id already stored; stored copies are never replaced)
+ * GET   List stored sessions, newest first
+ *       Query: from, to (ISO date or ms, matched on startTime), flag (one flag type)
+ *       200 { sessions: summary[] } | 400 { error } | 401 { error }
+ */
+
+import { isSessionRequestAuthorized, rejectUnauthorized } from '@/lib/sessionAuth';
+import { validateSessionReport } from '@/lib/sessionSchema';
+import { listSessions, saveSession } from '@/lib/sessionStore';
+
+// Full sessions carry every sample; allow well past Next's 1mb default
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+/**
+ * Parse a date filter (ISO string or epoch ms)
+ * @returns {number|undefined|null} ms, undefined if absent, null if invalid
+ */
+function parseDateParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+async function handlePost(req, res) {
+  const { valid, errors } = validateSessionReport(req.body);
+  if (!valid) {
+    return res.status(400).json({ error: 'Invalid session report', details: errors });
+  }
+
+  const session = await saveSession(req.body);
+  if (!session) {
+    return res.status(409).json({ error: `Session ${req.body.metadata.sessionId} already exists` });
+  }
+  return res.status(201).json({ session });
+}
+
+async function handleGet(req, res) {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'from/to must be an ISO date or a timestamp in ms' });
+  }
+
+  if (Array.isArray(req.query.flag)) {
+    return res.status(400).json({ error: 'flag may be given once' });
+  }
+
+  const flag = req.query.flag || undefined;
+  const sessions = await listSessions({ from, to, flag });
+  return res.status(200).json({ sessions });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (!isSessionRequestAuthorized(req)) return rejectUnauthorized(res);
+    if (req.method === 'POST') return await handlePost(req, res);
+    if (req.method === 'GET') return await handleGet(req, res);
+
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  } catch (error) {
+    console.error('[api/sessions] Request failed:', error);
+    return res.status(500).json({ error: 'Failed to access session store' });
+  }
+}
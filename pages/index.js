@@ -12,130 +12,271 @@
  * - Safety mechanism behavior
  * 
  * PERFORMANCE CONSTRAINTS ENFORCED:
- * - Throttled to 2 FPS (500ms intervals)
+ * - Throttled to 2 FPS (500ms intervals) under the standard policy
  * - No requestAnimationFrame loops
  * - Auto-disable on CPU overload
+ *
+ * Camera, analysis and flags come from useProctoring, the same hook exam
+ * pages embed (directly or via ProctoringMonitor); this page adds the
+ * diagnostic panels and options around it.
  */
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import Head from 'next/head';
-import { useWebcam } from '@/hooks/useWebcam';
-import { createFrameProcessor } from '@/lib/frameProcessor';
+import { usePolicy } from '@/hooks/usePolicy';
+import { useProctoring } from '@/hooks/useProctoring';
+import { ProctoringVideo } from '@/components/ProctoringMonitor';
+import PolicySettings from '@/components/PolicySettings';
+import ReplayPanel from '@/components/ReplayPanel';
+import BenchmarkPanel from '@/components/BenchmarkPanel';
+import EvidenceStrip from '@/components/EvidenceStrip';
+import PerformancePanel from '@/components/PerformancePanel';
+import SessionSummary from '@/components/SessionSummary';
+import { DEGRADATION_LEVELS } from '@/lib/frameProcessor';
+import { DETECTOR_BACKENDS } from '@/lib/detectors/registry';
+import { enterExamFullscreen } from '@/lib/environmentMonitor';
+import { downloadText } from '@/lib/download';
+import { createBenchmarkReport } from '@/lib/telemetry';
+import { validateSessionReport } from '@/lib/sessionSchema';
 import {
-  createInitialState,
-  processAnalysis,
+  ENVIRONMENT_FLAGS,
   getFlagMessage,
-  getFlagSeverity
+  getFlagSeverity,
+  getWorstSeverity
 } from '@/lib/flagManager';
 
-export default function ProctoringTestPage() {
-  // Webcam management
-  const { videoRef, isActive, isLoading, error: cameraError, startCamera, stopCamera } = useWebcam();
+/**
+ * Format a sampling interval for display, e.g. "2 FPS (500ms interval)"
+ */
+function formatSampleRate(intervalMs) {
+  const fps = Math.round((1000 / intervalMs) * 10) / 10;
+  return `${fps} FPS (${intervalMs}ms interval)`;
+}
+
+/**
+ * Format a duration for display, e.g. "12.3s"
+ */
+function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
 
-  // Analysis state
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const [flagState, setFlagState] = useState(createInitialState);
-  const [lastProcessingTime, setLastProcessingTime] = useState(null);
-  const [isDisabled, setIsDisabled] = useState(false);
-  const [disableReason, setDisableReason] = useState(null);
-  const [initError, setInitError] = useState(null);
+/**
+ * Format a 0-1 fraction for display, e.g. "25%"
+ */
+function formatPercent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * Summarize the details of a flag history entry for the history panel
+ */
+function formatHistoryDetails(entry) {
+  const { details } = entry;
+
+  if (entry.event === 'CLIPBOARD') {
+    return details.action;
+  }
+  if (entry.event) {
+    return `${details.label}, ${formatSampleRate(details.intervalMs)}, ${details.reason}`;
+  }
+  if (details.source === 'environment') {
+    const ended = Object.entries(details.durations)
+      .map(([flag, ms]) => `${flag} lasted ${formatDuration(ms)}`);
+    return ended.length > 0 ? ended.join(', ') : 'browser environment';
+  }
+
+  // How long the flags this sample cleared lasted (FACE_OK clearing is not news)
+  const ended = Object.entries(details.durations ?? {})
+    .filter(([flag]) => getFlagSeverity(flag) !== 'ok')
+    .map(([flag, ms]) => `${flag} lasted ${formatDuration(ms)}`);
+
+  return [
+    ...ended,
+    `faces: ${details.faceCount}`,
+    `brightness: ${details.brightness ?? 'n/a'}`,
+    details.contrast != null && `contrast: ${details.contrast}`,
+    details.frameChange != null && `change: ${details.frameChange}`,
+    details.faceBrightness != null && `face: ${details.faceBrightness}, background: ${details.backgroundBrightness}`,
+    details.highlights != null && `clipped: ${formatPercent(details.highlights)}`,
+    details.sharpness != null && `sharpness: ${details.sharpness}`,
+    details.scores?.length > 0 && `scores: ${details.scores.join('/')}`,
+    details.yaw != null && `yaw: ${details.yaw}°, pitch: ${details.pitch}°`,
+    details.faceArea != null && `area: ${details.faceArea}`,
+    details.similarity != null && `similarity: ${details.similarity}`
+  ].filter(Boolean).join(', ');
+}
 
-  // Frame processor ref (stable across renders)
-  const processorRef = useRef(null);
+export default function ProctoringTestPage() {
+  // Exam policy (detector, sampler and flag thresholds)
+  const {
+    policy,
+    presetName,
+    overrides,
+    source: policySource,
+    errors: policyErrors,
+    applyPolicy
+  } = usePolicy();
+
+  // Page options (detector, identity, worker and audio apply on the next camera start)
+  const [showOverlay, setShowOverlay] = useState(true);
+  const [backendId, setBackendId] = useState('face-detector');
+  const [uploadStatus, setUploadStatus] = useState(null);
+  const [identityEnabled, setIdentityEnabled] = useState(true);
+  const [workerEnabled, setWorkerEnabled] = useState(false);
+  const [audioEnabled, setAudioEnabled] = useState(false);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const [fullscreenError, setFullscreenError] = useState(null);
+  const [isBenchmarking, setIsBenchmarking] = useState(false); // Live analysis paused for a benchmark run
+  const [openEvidence, setOpenEvidence] = useState(null); // Timestamp of the history entry whose evidence is shown
+
+  // Camera, analysis, flags and session log
+  const proctoring = useProctoring({
+    policy,
+    backendId,
+    identity: identityEnabled,
+    worker: workerEnabled,
+    audio: audioEnabled,
+    autoStart: !isBenchmarking
+  });
+  const {
+    videoRef,
+    isCameraActive: isActive,
+    isCameraLoading: isLoading,
+    cameraError,
+    cameraDevices,
+    cameraDeviceId,
+    selectCamera,
+    isAnalyzing,
+    flagState,
+    lastProcessingTime,
+    telemetry,
+    analysisMode,
+    degradation,
+    identityStatus,
+    isDisabled,
+    disableReason,
+    initError,
+    summary,
+    audioLevel,
+    audioError,
+    logStats,
+    start: handleStart,
+    stop: handleStop,
+    stopAnalysis,
+    reEnroll,
+    createBackends,
+    getSessionLog,
+    startNewSession: resetSessionLog
+  } = proctoring;
 
   /**
-   * Handle analysis results from frame processor
+   * Enter or leave fullscreen exam mode
    */
-  const handleAnalysis = useCallback((analysis) => {
-    setFlagState(prev => processAnalysis(prev, analysis));
-    setLastProcessingTime(analysis.processingTime);
+  const toggleFullscreen = useCallback(async () => {
+    setFullscreenError(null);
+    try {
+      if (document.fullscreenElement) {
+        await document.exitFullscreen();
+      } else {
+        await enterExamFullscreen();
+      }
+    } catch (err) {
+      console.warn('[Page] Fullscreen request failed:', err);
+      setFullscreenError(err.message || 'Fullscreen request failed');
+    }
   }, []);
 
   /**
-   * Handle auto-disable from frame processor
+   * Download the session log
+   * @param {'json'|'csv'} format
    */
-  const handleDisabled = useCallback((reason) => {
-    setIsDisabled(true);
-    setDisableReason(reason);
-    setIsAnalyzing(false);
-  }, []);
+  const downloadSessionLog = useCallback((format) => {
+    const log = getSessionLog();
+    const { sessionId } = log.toJSON().metadata;
+    if (format === 'csv') {
+      downloadText(`session-${sessionId}.csv`, log.toCSV(), 'text/csv');
+    } else {
+      downloadText(`session-${sessionId}.json`, JSON.stringify(log.toJSON(), null, 2));
+    }
+  }, [getSessionLog]);
 
   /**
-   * Handle errors from frame processor
+   * Download the latest performance statistics as a benchmark report
    */
-  const handleError = useCallback((error) => {
-    console.error('[Page] Processor error:', error);
-    setInitError(error.message);
-  }, []);
+  const downloadBenchmarkReport = useCallback(() => {
+    if (!telemetry) return;
+
+    const report = createBenchmarkReport(telemetry, {
+      detector: DETECTOR_BACKENDS[backendId].label,
+      delegate: policy.detector.delegate,
+      mode: analysisMode,
+      identity: identityEnabled,
+      cameraResolution: videoRef.current ? `${videoRef.current.videoWidth}x${videoRef.current.videoHeight}` : null,
+      sampler: policy.sampler,
+      degradation: DEGRADATION_LEVELS[telemetry.degradationLevel].name
+    });
+    downloadText(`benchmark-${Date.now()}.json`, JSON.stringify(report, null, 2));
+  }, [telemetry, backendId, policy, analysisMode, identityEnabled, videoRef]);
 
   /**
-   * Start analysis when camera is active
+   * Submit the session log to the server for later review
    */
-  const startAnalysis = useCallback(() => {
-    if (!isActive || !videoRef.current || isAnalyzing) return;
-
-    setInitError(null);
-    setIsDisabled(false);
-    setDisableReason(null);
-
-    // Create processor if needed
-    if (!processorRef.current) {
-      processorRef.current = createFrameProcessor({
-        videoElement: videoRef.current,
-        onAnalysis: handleAnalysis,
-        onDisabled: handleDisabled,
-        onError: handleError
-      });
+  const uploadSessionLog = useCallback(async () => {
+    const report = getSessionLog().toJSON();
+
+    // Same checks as the server, so an incomplete session fails here without a round trip
+    const { valid, errors } = validateSessionReport(report);
+    if (!valid) {
+      setUploadStatus(`Upload failed: ${errors.join('; ')}`);
+      return;
     }
 
-    processorRef.current.start();
-    setIsAnalyzing(true);
-  }, [isActive, isAnalyzing, videoRef, handleAnalysis, handleDisabled, handleError]);
-
-  /**
-   * Stop analysis
-   */
-  const stopAnalysis = useCallback(async () => {
-    if (processorRef.current) {
-      await processorRef.current.cleanup();
-      processorRef.current = null;
+    setUploadStatus('Uploading...');
+    try {
+      const response = await fetch('/api/sessions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(report)
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.details ? `${body.error}: ${body.details.join('; ')}` : body.error);
+      }
+      setUploadStatus(`Saved as ${body.session.id}`);
+    } catch (error) {
+      console.error('[Page] Session upload failed:', error);
+      setUploadStatus(`Upload failed: ${error.message}`);
     }
-    setIsAnalyzing(false);
-    setFlagState(createInitialState());
-    setLastProcessingTime(null);
-  }, []);
+  }, [getSessionLog]);
 
   /**
-   * Start camera and analysis together
+   * Discard the current session log and begin a new session
    */
-  const handleStart = useCallback(async () => {
-    await startCamera();
-  }, [startCamera]);
+  const startNewSession = useCallback(() => {
+    resetSessionLog();
+    setUploadStatus(null);
+  }, [resetSessionLog]);
 
   /**
-   * Stop everything
+   * Pause live analysis for a benchmark run (it reloads the shared detector)
    */
-  const handleStop = useCallback(async () => {
+  const handleBenchmarkStart = useCallback(async () => {
+    setIsBenchmarking(true);
     await stopAnalysis();
-    stopCamera();
-  }, [stopAnalysis, stopCamera]);
+  }, [stopAnalysis]);
 
-  // Auto-start analysis when camera becomes active
-  useEffect(() => {
-    if (isActive && !isAnalyzing && !isDisabled) {
-      // Small delay to ensure video is ready
-      const timer = setTimeout(startAnalysis, 500);
-      return () => clearTimeout(timer);
-    }
-  }, [isActive, isAnalyzing, isDisabled, startAnalysis]);
+  /**
+   * Let analysis auto-start again once a benchmark run is over
+   */
+  const handleBenchmarkEnd = useCallback(() => {
+    setIsBenchmarking(false);
+  }, []);
 
-  // Cleanup on unmount
+  // Track fullscreen for the exam mode control
   useEffect(() => {
-    return () => {
-      if (processorRef.current) {
-        processorRef.current.cleanup();
-      }
-    };
+    const handleFullscreenChange = () => setIsFullscreen(Boolean(document.fullscreenElement));
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
   }, []);
 
   return (
@@ -159,56 +300,7 @@ export default function ProctoringTestPage() {
 
           {/* Video Feed Section */}
           <section className="mb-6">
-            <div className="relative bg-black rounded-lg overflow-hidden aspect-[4/3] max-w-[320px] mx-auto border-2 border-gray-700">
-              {/* Video Element */}
-              <video
-                ref={videoRef}
-                className="w-full h-full object-cover"
-                autoPlay
-                playsInline
-                muted
-              />
-
-              {/* Placeholder when camera is off */}
-              {!isActive && (
-                <div className="absolute inset-0 flex items-center justify-center bg-gray-800">
-                  <div className="text-center">
-                    <svg
-                      className="w-12 h-12 mx-auto mb-2 text-gray-600"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"
-                      />
-                    </svg>
-                    <p className="text-gray-500 text-sm">Camera Off</p>
-                  </div>
-                </div>
-              )}
-
-              {/* Loading overlay */}
-              {isLoading && (
-                <div className="absolute inset-0 flex items-center justify-center bg-gray-800/80">
-                  <div className="text-center">
-                    <div className="animate-spin w-8 h-8 border-2 border-blue-500 border-t-transparent rounded-full mx-auto mb-2" />
-                    <p className="text-sm">Requesting camera...</p>
-                  </div>
-                </div>
-              )}
-
-              {/* Analysis indicator */}
-              {isAnalyzing && (
-                <div className="absolute top-2 right-2 flex items-center gap-1.5 bg-green-600/80 px-2 py-1 rounded text-xs">
-                  <span className="w-2 h-2 bg-white rounded-full animate-pulse" />
-                  Analyzing
-                </div>
-              )}
-            </div>
+            <ProctoringVideo proctoring={proctoring} showOverlay={showOverlay} />
 
             {/* Camera controls */}
             <div className="flex justify-center gap-3 mt-4">
@@ -228,7 +320,92 @@ export default function ProctoringTestPage() {
                   Stop Camera
                 </button>
               )}
+              <button
+                onClick={toggleFullscreen}
+                className="px-6 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg font-medium transition-colors"
+              >
+                {isFullscreen ? 'Exit Fullscreen' : 'Enter Fullscreen Exam Mode'}
+              </button>
             </div>
+            {fullscreenError && (
+              <p className="mt-2 text-sm text-center text-red-400">{fullscreenError}</p>
+            )}
+
+            {/* Overlay toggle */}
+            <label className="flex items-center justify-center gap-2 mt-3 text-sm text-gray-400">
+              <input
+                type="checkbox"
+                checked={showOverlay}
+                onChange={(e) => setShowOverlay(e.target.checked)}
+              />
+              Show detection overlay
+            </label>
+
+            {/* Identity continuity check (applies on next camera start) */}
+            <label className="flex items-center justify-center gap-2 mt-2 text-sm text-gray-400">
+              <input
+                type="checkbox"
+                checked={identityEnabled}
+                onChange={(e) => setIdentityEnabled(e.target.checked)}
+                disabled={isActive}
+              />
+              Enroll face and check identity
+            </label>
+
+            {/* Worker mode (applies on next camera start; falls back to main thread if unsupported) */}
+            <label className="flex items-center justify-center gap-2 mt-2 text-sm text-gray-400">
+              <input
+                type="checkbox"
+                checked={workerEnabled}
+                onChange={(e) => setWorkerEnabled(e.target.checked)}
+                disabled={isActive}
+              />
+              Run detection in a Web Worker
+            </label>
+
+            {/* Microphone voice activity (applies on next camera start) */}
+            <label className="flex items-center justify-center gap-2 mt-2 text-sm text-gray-400">
+              <input
+                type="checkbox"
+                checked={audioEnabled}
+                onChange={(e) => setAudioEnabled(e.target.checked)}
+                disabled={isActive}
+              />
+              Listen for speech (analyzed live, never recorded)
+            </label>
+
+            {/* Detector backend (applies on next camera start) */}
+            <label className="flex items-center justify-center gap-2 mt-2 text-sm text-gray-400">
+              Detector:
+              <select
+                value={backendId}
+                onChange={(e) => setBackendId(e.target.value)}
+                disabled={isActive}
+                className="bg-gray-800 border border-gray-700 rounded px-2 py-1 disabled:opacity-50"
+              >
+                {Object.entries(DETECTOR_BACKENDS).map(([id, backend]) => (
+                  <option key={id} value={id}>{backend.label}</option>
+                ))}
+              </select>
+            </label>
+
+            {/* Camera device (switches immediately; names appear after permission is granted) */}
+            {cameraDevices.length > 0 && (
+              <label className="flex items-center justify-center gap-2 mt-2 text-sm text-gray-400">
+                Camera:
+                <select
+                  value={cameraDeviceId ?? ''}
+                  onChange={(e) => selectCamera(e.target.value || null)}
+                  disabled={isLoading}
+                  className="max-w-[220px] bg-gray-800 border border-gray-700 rounded px-2 py-1 disabled:opacity-50"
+                >
+                  <option value="">Default (front camera)</option>
+                  {cameraDevices.map((device) => (
+                    <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
 
             {/* Camera error */}
             {cameraError && (
@@ -236,6 +413,13 @@ export default function ProctoringTestPage() {
                 Camera error: {cameraError}
               </div>
             )}
+
+            {/* Microphone error (camera analysis continues without it) */}
+            {audioError && (
+              <div className="mt-3 p-3 bg-yellow-900/50 border border-yellow-700 rounded-lg text-sm text-center">
+                Microphone error: {audioError}
+              </div>
+            )}
           </section>
 
           {/* Status Panel */}
@@ -265,8 +449,8 @@ export default function ProctoringTestPage() {
                 </div>
               )}
 
-              {/* Current flags */}
-              {flagState.currentFlags.length > 0 ? (
+              {/* Current flags (the last session's are in its summary) */}
+              {!summary && flagState.currentFlags.length > 0 ? (
                 <ul className="space-y-2">
                   {flagState.currentFlags.map((flag) => (
                     <li
@@ -288,22 +472,108 @@ export default function ProctoringTestPage() {
                       <span className="font-medium">
                         {getFlagMessage(flag)}
                       </span>
+                      {ENVIRONMENT_FLAGS.includes(flag) && flagState.environment[flag] && (
+                        <span className="ml-auto text-xs text-gray-500">
+                          since {new Date(flagState.environment[flag]).toLocaleTimeString()}
+                        </span>
+                      )}
                     </li>
                   ))}
                 </ul>
               ) : (
                 <div className="text-gray-500 text-center py-4">
-                  {isActive ? 'Initializing detection...' : 'Start camera to begin analysis'}
+                  {summary && !isAnalyzing
+                    ? 'Session ended. See the summary below.'
+                    : isActive ? 'Initializing detection...' : 'Start camera to begin analysis'}
                 </div>
               )}
 
               {/* Detection counts */}
               {isAnalyzing && (
-                <div className="pt-3 border-t border-gray-700">
+                <div className="pt-3 border-t border-gray-700 grid grid-cols-3 gap-2">
                   <div className="bg-gray-700/50 rounded-lg p-3 text-center">
                     <div className="text-2xl font-bold text-blue-400">{flagState.faceCount}</div>
                     <div className="text-xs text-gray-400 mt-1">Faces Detected</div>
                   </div>
+                  <div className="bg-gray-700/50 rounded-lg p-3 text-center">
+                    <div className="text-2xl font-bold text-blue-400">
+                      {flagState.headPose ? `${Math.round(flagState.headPose.yaw)}°` : '–'}
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1">Yaw</div>
+                  </div>
+                  <div className="bg-gray-700/50 rounded-lg p-3 text-center">
+                    <div className="text-2xl font-bold text-blue-400">
+                      {flagState.headPose ? `${Math.round(flagState.headPose.pitch)}°` : '–'}
+                    </div>
+                    <div className="text-xs text-gray-400 mt-1">Pitch</div>
+                  </div>
+                </div>
+              )}
+
+              {/* Picture quality (lighting histogram, face vs background, focus) */}
+              {isAnalyzing && flagState.lighting && (
+                <div className="pt-3 border-t border-gray-700 text-sm text-gray-400">
+                  <div className="flex items-end gap-px h-10" title="Luminance histogram (dark to bright)">
+                    {flagState.lighting.histogram.map((fraction, idx) => (
+                      <div
+                        key={idx}
+                        className="flex-1 bg-blue-400/70"
+                        style={{ height: `${Math.max(Math.min(fraction * 400, 100), 2)}%` }}
+                      />
+                    ))}
+                  </div>
+                  <div className="flex justify-between mt-2">
+                    <span>Face / background brightness:</span>
+                    <span>
+                      {flagState.lighting.faceBrightness !== null ? Math.round(flagState.lighting.faceBrightness) : '–'}
+                      {' / '}
+                      {flagState.lighting.backgroundBrightness !== null ? Math.round(flagState.lighting.backgroundBrightness) : '–'}
+                    </span>
+                  </div>
+                  <div className="flex justify-between mt-1">
+                    <span>Clipped highlights:</span>
+                    <span className={flagState.lighting.highlights > policy.flags.overexposedFraction ? 'text-yellow-400' : ''}>
+                      {formatPercent(flagState.lighting.highlights)}
+                    </span>
+                  </div>
+                  {flagState.sharpness !== null && (
+                    <div className="flex justify-between mt-1">
+                      <span>Sharpness:</span>
+                      <span className={flagState.sharpness < policy.flags.blurrySharpness ? 'text-yellow-400' : ''}>
+                        {Math.round(flagState.sharpness)}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Microphone level meter */}
+              {isAnalyzing && audioLevel !== null && (
+                <div className="pt-3 border-t border-gray-700 flex items-center gap-3 text-sm text-gray-400">
+                  <span>Microphone:</span>
+                  <div className="flex-1 h-2 bg-gray-700 rounded overflow-hidden">
+                    <div
+                      className={`h-full transition-all ${flagState.currentFlags.includes('SPEECH_DETECTED') ? 'bg-yellow-500' : 'bg-green-500'}`}
+                      style={{ width: `${Math.min(Math.max((audioLevel + 80) / 80, 0), 1) * 100}%` }}
+                    />
+                  </div>
+                  <span className="w-16 text-right">{Math.round(audioLevel)} dB</span>
+                </div>
+              )}
+
+              {/* Identity enrollment */}
+              {isAnalyzing && identityStatus !== 'off' && (
+                <div className="pt-3 border-t border-gray-700 flex items-center justify-between text-sm text-gray-400">
+                  <span>
+                    Identity: {identityStatus === 'enrolled' ? 'Reference enrolled' : 'Waiting for a single face to enroll...'}
+                    {flagState.identitySimilarity !== null && ` (similarity ${flagState.identitySimilarity.toFixed(2)})`}
+                  </span>
+                  <button
+                    onClick={reEnroll}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+                  >
+                    Re-enroll
+                  </button>
                 </div>
               )}
 
@@ -312,19 +582,60 @@ export default function ProctoringTestPage() {
                 <div className="pt-3 border-t border-gray-700">
                   <div className="flex justify-between text-sm text-gray-400">
                     <span>Processing time:</span>
-                    <span className={lastProcessingTime > 200 ? 'text-yellow-400' : 'text-green-400'}>
+                    <span className={lastProcessingTime > policy.sampler.maxProcessingMs ? 'text-yellow-400' : 'text-green-400'}>
                       {lastProcessingTime.toFixed(1)}ms
                     </span>
                   </div>
                   <div className="flex justify-between text-sm text-gray-400 mt-1">
                     <span>Sample rate:</span>
-                    <span>2 FPS (500ms interval)</span>
+                    <span>
+                      {formatSampleRate(degradation?.intervalMs ?? policy.sampler.intervalMs)}
+                      {telemetry?.achievedFps != null && `, achieved ${telemetry.achievedFps.toFixed(1)} FPS`}
+                    </span>
+                  </div>
+                  <div className="flex justify-between text-sm text-gray-400 mt-1">
+                    <span>Quality:</span>
+                    <span className={degradation?.level > 0 ? 'text-yellow-400' : 'text-green-400'}>
+                      {degradation?.label ?? DEGRADATION_LEVELS[0].label}
+                      {degradation?.level > 0 && ` (level ${degradation.level}/${DEGRADATION_LEVELS.length - 1})`}
+                    </span>
+                  </div>
+                  <div className="flex justify-between text-sm text-gray-400 mt-1">
+                    <span>Runs on:</span>
+                    <span className={workerEnabled && analysisMode === 'main' ? 'text-yellow-400' : ''}>
+                      {analysisMode === 'worker' ? 'Web Worker' : 'Main thread'}
+                      {workerEnabled && analysisMode === 'main' && ' (worker unavailable)'}
+                    </span>
                   </div>
                 </div>
               )}
             </div>
           </section>
 
+          {/* Session Summary Panel (after stop) */}
+          {summary && (
+            <section className="mt-6 bg-gray-800 rounded-lg border-2 border-gray-700 overflow-hidden">
+              <div className="px-4 py-3 bg-gray-750 border-b border-gray-700">
+                <h2 className="font-semibold">Session Summary</h2>
+              </div>
+              <SessionSummary summary={summary} />
+            </section>
+          )}
+
+          {/* Performance Panel */}
+          {telemetry && (
+            <section className="mt-6 bg-gray-800 rounded-lg border-2 border-gray-700 overflow-hidden">
+              <div className="px-4 py-3 bg-gray-750 border-b border-gray-700">
+                <h2 className="font-semibold">Performance{!isAnalyzing && ' (last run)'}</h2>
+              </div>
+              <PerformancePanel
+                telemetry={telemetry}
+                maxProcessingMs={policy.sampler.maxProcessingMs}
+                onDownload={downloadBenchmarkReport}
+              />
+            </section>
+          )}
+
           {/* History Panel */}
           {flagState.history.length > 0 && (
             <section className="mt-6 bg-gray-800 rounded-lg border-2 border-gray-700 overflow-hidden">
@@ -340,16 +651,27 @@ export default function ProctoringTestPage() {
                       </span>
                       {' '}
                       <span className={
-                        entry.flags.includes('FACE_OK') ? 'text-green-400' :
-                          entry.flags.includes('MULTIPLE_FACES') ? 'text-red-400' :
-                            'text-yellow-400'
+                        entry.event === 'DEGRADED' ? 'text-yellow-400' :
+                          entry.event ? 'text-blue-400' :
+                            getWorstSeverity(entry.flags) === 'ok' ? 'text-green-400' :
+                              getWorstSeverity(entry.flags) === 'error' ? 'text-red-400' :
+                                'text-yellow-400'
                       }>
-                        {entry.flags.join(', ')}
+                        {entry.event ?? entry.flags.join(', ')}
                       </span>
                       {' '}
-                      <span className="text-gray-600">
-                        (faces: {entry.details.faceCount}, brightness: {entry.details.brightness})
-                      </span>
+                      <span className="text-gray-600">({formatHistoryDetails(entry)})</span>
+                      {entry.evidence && (
+                        <button
+                          onClick={() => setOpenEvidence(openEvidence === entry.timestamp ? null : entry.timestamp)}
+                          className="ml-2 text-blue-400 hover:underline"
+                        >
+                          {openEvidence === entry.timestamp ? 'hide frames' : `${entry.evidence.frames.length} frames`}
+                        </button>
+                      )}
+                      {entry.evidence && openEvidence === entry.timestamp && (
+                        <EvidenceStrip evidence={entry.evidence} timestamp={entry.timestamp} />
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -357,9 +679,100 @@ export default function ProctoringTestPage() {
             </section>
           )}
 
+          {/* Session Log Panel */}
+          {logStats && (
+            <section className="mt-6 bg-gray-800 rounded-lg border-2 border-gray-700 overflow-hidden">
+              <div className="px-4 py-3 bg-gray-750 border-b border-gray-700">
+                <h2 className="font-semibold">Session Log</h2>
+              </div>
+              <div className="p-4">
+                <p className="text-sm text-gray-400">
+                  {logStats.samples} samples • {logStats.transitions} flag changes • {logStats.events} events
+                  {logStats.evidenceBytes > 0 && ` • ${Math.round(logStats.evidenceBytes / 1024)} KB evidence`}
+                  {logStats.evidenceDropped > 0 && ` (${logStats.evidenceDropped} dropped at cap)`}
+                </p>
+                <div className="flex flex-wrap gap-2 mt-3">
+                  <button
+                    onClick={() => downloadSessionLog('json')}
+                    className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+                  >
+                    Download JSON
+                  </button>
+                  <button
+                    onClick={() => downloadSessionLog('csv')}
+                    className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+                  >
+                    Download CSV
+                  </button>
+                  <button
+                    onClick={uploadSessionLog}
+                    disabled={isAnalyzing}
+                    className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm transition-colors"
+                  >
+                    Submit to Server
+                  </button>
+                  <button
+                    onClick={startNewSession}
+                    disabled={isAnalyzing}
+                    className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm transition-colors"
+                  >
+                    New Session
+                  </button>
+                </div>
+                {uploadStatus && (
+                  <p className="text-xs text-gray-500 mt-2">{uploadStatus}</p>
+                )}
+              </div>
+            </section>
+          )}
+
+          {/* Policy Settings Panel */}
+          <details className="mt-6 bg-gray-800 rounded-lg border-2 border-gray-700 overflow-hidden">
+            <summary className="px-4 py-3 bg-gray-750 border-b border-gray-700 font-semibold cursor-pointer">
+              Policy Settings ({policy.name})
+            </summary>
+            <PolicySettings
+              key={`${presetName}:${JSON.stringify(overrides)}`}
+              presetName={presetName}
+              overrides={overrides}
+              source={policySource}
+              errors={policyErrors}
+              disabled={isActive}
+              onApply={applyPolicy}
+            />
+          </details>
+
+          {/* Replay Panel */}
+          <details className="mt-6 bg-gray-800 rounded-lg border-2 border-gray-700 overflow-hidden">
+            <summary className="px-4 py-3 bg-gray-750 border-b border-gray-700 font-semibold cursor-pointer">
+              Replay a Recording
+            </summary>
+            <ReplayPanel
+              policy={policy}
+              createBackends={createBackends}
+              disabled={isActive}
+            />
+          </details>
+
+          {/* Benchmark Panel */}
+          <details className="mt-6 bg-gray-800 rounded-lg border-2 border-gray-700 overflow-hidden">
+            <summary className="px-4 py-3 bg-gray-750 border-b border-gray-700 font-semibold cursor-pointer">
+              Benchmark Detector Configurations
+            </summary>
+            <BenchmarkPanel
+              videoRef={videoRef}
+              isCameraActive={isActive}
+              minDetectionConfidence={policy.detector.minDetectionConfidence}
+              onRunStart={handleBenchmarkStart}
+              onRunEnd={handleBenchmarkEnd}
+            />
+          </details>
+
           <footer className="mt-8 text-center text-gray-600 text-sm">
             <p>Performance experiment • Not production proctoring</p>
-            <p className="mt-1">MediaPipe FaceDetector • Throttled to 2 FPS</p>
+            <p className="mt-1">
+              {DETECTOR_BACKENDS[backendId].label} • Policy: {policy.name} • Throttled to {formatSampleRate(policy.sampler.intervalMs)}
+            </p>
           </footer>
         </div>
       </main>
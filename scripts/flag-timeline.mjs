@@ -0,0 +1,292 @@
+/**
+ * flag-timeline.mjs - Replay analysis traces through flagManager from Node
+ *
+ * Feeds recorded samples through processAnalysis with a chosen policy and
+ * prints the resulting flag timeline, or diffs it against an expected one.
+ * No camera or browser needed, so thresholds (faceMissingSamples,
+ * lowLightBrightness, ...) can be tuned against captured sessions.
+ *
+ * Inputs:
+ * - JSONL trace: one frameProcessor onAnalysis payload per line
+ *   (replay "Download Trace"); at least { timestamp, faceCount, brightness }
+ * - Session log JSON (live or replay export): its `samples` are used;
+ *   exports from before face boxes were logged can't reproduce framing
+ *   flags, so those are left out of both timelines
+ *
+ * Usage:
+ *   node scripts/flag-timeline.mjs <trace> [--policy strict] [--set key=value ...]
+ *       [--expect timeline.json] [--tolerance ms] [--write timeline.json] [--json]
+ *
+ * Exit codes: 0 ok / match, 1 timeline mismatch, 2 bad input or options.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createInitialState, processAnalysis, ENVIRONMENT_FLAGS, FRAMING_FLAGS } from '../lib/flagManager.js';
+import { DEFAULT_POLICY_NAME, POLICY_SCHEMA, resolvePolicy } from '../lib/policy.js';
+
+const USAGE = `Usage: node scripts/flag-timeline.mjs <trace.jsonl|session.json> [options]
+
+Options:
+  --policy <name>      Policy preset for flag thresholds (default: ${DEFAULT_POLICY_NAME})
+  --set <key=value>    Override one flag threshold, e.g. --set faceMissingSamples=5 (repeatable)
+  --expect <file>      Diff against an expected timeline; exit 1 on mismatch
+  --tolerance <ms>     Allowed timestamp difference when diffing (default: 0)
+  --write <file>       Save the timeline as JSON (for later --expect)
+  --json               Print the timeline as JSON instead of text
+  --help               Show this message
+
+Threshold keys: ${Object.keys(POLICY_SCHEMA.flags).join(', ')}`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse "key=value" threshold overrides
+ * @param {string[]} assignments
+ * @returns {Object} Flag threshold overrides
+ */
+function parseOverrides(assignments) {
+    const flags = {};
+    for (const assignment of assignments) {
+        const [key, value] = assignment.split('=');
+        if (!(key in POLICY_SCHEMA.flags) || value === undefined || value.trim() === '') {
+            throw new UsageError(`Invalid --set "${assignment}" (expected <threshold key>=<number>)`);
+        }
+        flags[key] = Number(value);
+    }
+    return flags;
+}
+
+/**
+ * Load samples from a JSONL trace or a session log JSON export
+ * @param {string} file
+ * @returns {Promise<Object>} { samples: analysis payloads in time order, framing: whether framing flags can be reproduced }
+ */
+async function loadSamples(file) {
+    const text = await readFile(file, 'utf8');
+
+    // Session log export: one JSON document with a samples array
+    let document = null;
+    try {
+        document = JSON.parse(text);
+    } catch {
+        // Not a single JSON document; read as JSONL
+    }
+    if (Array.isArray(document?.samples)) {
+        return {
+            samples: document.samples.map(fromSessionSample),
+            framing: document.samples.length === 0 || 'faceX' in document.samples[0]
+        };
+    }
+
+    const samples = text.split('\n').flatMap((line, index) => {
+        if (line.trim() === '') {
+            return [];
+        }
+        try {
+            return [JSON.parse(line)];
+        } catch (error) {
+            throw new UsageError(`${file}:${index + 1}: ${error.message}`);
+        }
+    });
+    return { samples, framing: true };
+}
+
+/**
+ * Convert a session log sample back to an analysis payload
+ * Session logs keep metrics and the single face's box, not the detections.
+ */
+function fromSessionSample(sample) {
+    return {
+        timestamp: sample.timestamp,
+        faceCount: sample.faceCount,
+        faces: sample.faceX != null
+            ? [{ box: { x: sample.faceX, y: sample.faceY, width: sample.faceWidth, height: sample.faceHeight } }]
+            : [],
+        brightness: sample.brightness,
+        frameContrast: sample.contrast ?? null,
+        frameChange: sample.frameChange ?? null,
+        // The histogram itself isn't logged; flags only need these
+        lighting: sample.highlights != null
+            ? { highlights: sample.highlights, faceBrightness: sample.faceBrightness, backgroundBrightness: sample.backgroundBrightness }
+            : null,
+        sharpness: sample.sharpness ?? null,
+        headPose: sample.yaw !== null && sample.pitch !== null ? { yaw: sample.yaw, pitch: sample.pitch } : null,
+        identitySimilarity: sample.similarity
+    };
+}
+
+/**
+ * Run samples through processAnalysis and collect flag transitions
+ * @param {Array<Object>} samples
+ * @param {Object} thresholds - Policy `flags` section
+ * @param {string[]} [ignoredFlags] - Flags to leave out (see withoutFlags)
+ * @returns {Array<Object>} [{ timestamp, flags }]
+ */
+function buildTimeline(samples, thresholds, ignoredFlags = []) {
+    let state = createInitialState();
+    const timeline = [];
+
+    samples.forEach((sample, index) => {
+        if (!Number.isFinite(sample.timestamp) || !Number.isInteger(sample.faceCount)) {
+            throw new UsageError(`Sample ${index + 1} needs a numeric timestamp and an integer faceCount`);
+        }
+        const previous = state;
+        state = processAnalysis(state, sample, thresholds);
+        if (state.history !== previous.history) {
+            timeline.push({ timestamp: sample.timestamp, flags: state.currentFlags });
+        }
+    });
+
+    return withoutFlags(timeline, ignoredFlags);
+}
+
+/**
+ * Remove flags from a timeline, dropping entries that no longer change anything
+ * @param {Array<Object>} timeline - [{ timestamp, flags }]
+ * @param {string[]} ignoredFlags
+ * @returns {Array<Object>}
+ */
+function withoutFlags(timeline, ignoredFlags) {
+    const result = [];
+    for (const { timestamp, flags } of timeline) {
+        const kept = flags.filter((flag) => !ignoredFlags.includes(flag));
+        const previous = result[result.length - 1];
+        if (!previous || !sameFlags(previous.flags, kept)) {
+            result.push({ timestamp, flags: kept });
+        }
+    }
+    return result;
+}
+
+/**
+ * Load an expected timeline: a bare [{ timestamp, flags }] array or a
+ * session log export (its `transitions`)
+ * Only frame-derived flag changes are kept, since that is all a trace can
+ * reproduce: event entries (degradation, clipboard) and environment changes
+ * are dropped, and environment flags (plus `ignoredFlags`) are left out of
+ * the remaining entries.
+ */
+async function loadTimeline(file, ignoredFlags = []) {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    const entries = Array.isArray(data) ? data : data.transitions;
+    if (!Array.isArray(entries)) {
+        throw new UsageError(`${file}: expected a timeline array or a session log with "transitions"`);
+    }
+    const frameEntries = entries.filter((entry) => !entry.event && entry.details?.source !== 'environment');
+    return withoutFlags(frameEntries, [...ENVIRONMENT_FLAGS, ...ignoredFlags]);
+}
+
+/**
+ * Compare two timelines entry by entry
+ * @returns {Array<string>} Human-readable differences (empty when equal)
+ */
+function diffTimelines(expected, actual, toleranceMs, origin) {
+    const differences = [];
+    const length = Math.max(expected.length, actual.length);
+
+    for (let i = 0; i < length; i++) {
+        const want = expected[i];
+        const got = actual[i];
+        if (!want) {
+            differences.push(`#${i + 1} unexpected ${formatEntry(got, origin)}`);
+        } else if (!got) {
+            differences.push(`#${i + 1} missing    ${formatEntry(want, origin)}`);
+        } else if (Math.abs(want.timestamp - got.timestamp) > toleranceMs || !sameFlags(want.flags, got.flags)) {
+            const indent = ' '.repeat(String(i + 1).length + 2);
+            differences.push(`#${i + 1} expected   ${formatEntry(want, origin)}\n  ${indent}actual     ${formatEntry(got, origin)}`);
+        }
+    }
+
+    return differences;
+}
+
+function sameFlags(a, b) {
+    const sorted = [...b].sort();
+    return a.length === b.length && [...a].sort().every((flag, i) => flag === sorted[i]);
+}
+
+/**
+ * Format one timeline entry as "+12.5s (1712345678901) FACE_OK, LOW_LIGHT"
+ */
+function formatEntry(entry, origin) {
+    const offset = `+${((entry.timestamp - origin) / 1000).toFixed(1)}s`;
+    return `${offset} (${entry.timestamp}) ${entry.flags.join(', ') || '(no flags)'}`;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            policy: { type: 'string', default: DEFAULT_POLICY_NAME },
+            set: { type: 'string', multiple: true, default: [] },
+            expect: { type: 'string' },
+            tolerance: { type: 'string', default: '0' },
+            write: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        throw new UsageError('Expected exactly one trace file');
+    }
+
+    const toleranceMs = Number(values.tolerance);
+    if (!Number.isFinite(toleranceMs) || toleranceMs < 0) {
+        throw new UsageError('--tolerance must be a non-negative number of ms');
+    }
+
+    const { policy, errors } = resolvePolicy(values.policy, { flags: parseOverrides(values.set) });
+    if (errors.length > 0) {
+        throw new UsageError(errors.join('\n'));
+    }
+
+    const { samples, framing } = await loadSamples(positionals[0]);
+    // Older session logs have no face boxes, so framing flags can't be compared
+    const ignoredFlags = framing ? [] : FRAMING_FLAGS;
+    if (!framing) {
+        console.error(`[flag-timeline] No face boxes in ${positionals[0]}; leaving out ${FRAMING_FLAGS.join(', ')}`);
+    }
+    const timeline = buildTimeline(samples, policy.flags, ignoredFlags);
+    const origin = samples.length > 0 ? samples[0].timestamp : 0;
+
+    if (values.write) {
+        await writeFile(values.write, JSON.stringify(timeline, null, 2) + '\n');
+    }
+
+    if (values.expect) {
+        const expected = await loadTimeline(values.expect, ignoredFlags);
+        const differences = diffTimelines(expected, timeline, toleranceMs, origin);
+        if (differences.length > 0) {
+            console.log(`Timeline mismatch (policy ${policy.name}): ${differences.length} difference(s), ${expected.length} expected / ${timeline.length} actual transitions`);
+            differences.forEach((difference) => console.log(`  ${difference}`));
+            return 1;
+        }
+        console.log(`Timeline matches (policy ${policy.name}, ${timeline.length} transitions, ${samples.length} samples)`);
+        return 0;
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify(timeline, null, 2));
+    } else {
+        console.log(`Policy ${policy.name}: ${samples.length} samples, ${timeline.length} transitions`);
+        timeline.forEach((entry) => console.log(`  ${formatEntry(entry, origin)}`));
+    }
+    return 0;
+}
+
+main().then(
+    (code) => process.exit(code),
+    (error) => {
+        console.error(`[flag-timeline] ${error.message}`);
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(`\n${USAGE}`);
+        }
+        process.exit(2);
+    }
+);
@@ -0,0 +1,174 @@
+/**
+ * sync-mediapipe-assets.mjs - Copy MediaPipe WASM and models into public/
+ *
+ * Populates public/mediapipe/<version>/ with:
+ * - wasm/           WASM fileset from the installed @mediapipe/tasks-vision
+ * - models/         Model files (downloaded once, then reused; manual-only
+ *                   models such as the full-range face detector are listed
+ *                   when present)
+ * - manifest.json   Version + file list checked by lib/mediapipeAssets.js
+ *
+ * Run `npm run mediapipe:assets` once after install and after upgrading
+ * @mediapipe/tasks-vision; it needs network access to storage.googleapis.com
+ * for models that are not present yet.
+ *
+ * With --check (run before `dev` and `build`), nothing is copied or
+ * downloaded: it only warns when the assets for the installed version are
+ * missing, so offline and locked-down builds still work.
+ */
+
+import { copyFile, mkdir, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT_BASE = path.join(ROOT, 'public', 'mediapipe');
+
+// Model files served alongside the WASM fileset
+const MODELS = [
+    {
+        file: 'blaze_face_short_range.tflite',
+        url: 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite'
+    },
+    {
+        file: 'face_landmarker.task',
+        url: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+    },
+    {
+        file: 'mobilenet_v3_small.tflite',
+        url: 'https://storage.googleapis.com/mediapipe-models/image_embedder/mobilenet_v3_small/float32/1/mobilenet_v3_small.tflite'
+    }
+];
+
+// Models without a download URL; listed in the manifest when placed by hand
+const MANUAL_MODELS = ['blaze_face_full_range.tflite'];
+
+/**
+ * Locate the installed @mediapipe/tasks-vision package
+ * @returns {Promise<{dir: string, version: string}>}
+ */
+async function findPackage() {
+    const require = createRequire(import.meta.url);
+    const dir = path.dirname(require.resolve('@mediapipe/tasks-vision'));
+    const pkg = JSON.parse(await readFile(path.join(dir, 'package.json'), 'utf8'));
+    return { dir, version: pkg.version };
+}
+
+async function exists(file) {
+    try {
+        await stat(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Copy the WASM fileset, replacing any previous copy
+ */
+async function copyWasm(packageDir, outputDir) {
+    const sourceDir = path.join(packageDir, 'wasm');
+    const targetDir = path.join(outputDir, 'wasm');
+
+    await rm(targetDir, { recursive: true, force: true });
+    await mkdir(targetDir, { recursive: true });
+
+    const files = await readdir(sourceDir);
+    await Promise.all(files.map((file) => copyFile(path.join(sourceDir, file), path.join(targetDir, file))));
+    return files;
+}
+
+/**
+ * Download model files that are not already present
+ */
+async function downloadModels(outputDir) {
+    const targetDir = path.join(outputDir, 'models');
+    await mkdir(targetDir, { recursive: true });
+
+    for (const model of MODELS) {
+        const target = path.join(targetDir, model.file);
+        if (await exists(target)) {
+            continue;
+        }
+
+        console.log(`[mediapipe:assets] Downloading ${model.file}...`);
+        let response;
+        try {
+            response = await fetch(model.url);
+        } catch (error) {
+            throw new Error(`Cannot reach ${new URL(model.url).host} to download ${model.file} (${error.cause?.message ?? error.message})`);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to download ${model.url} (HTTP ${response.status})`);
+        }
+        await writeFile(target, Buffer.from(await response.arrayBuffer()));
+    }
+
+    const manual = [];
+    for (const file of MANUAL_MODELS) {
+        if (await exists(path.join(targetDir, file))) {
+            manual.push(file);
+        }
+    }
+
+    return [...MODELS.map((model) => model.file), ...manual];
+}
+
+/**
+ * List what is missing from a synced asset directory
+ * @returns {Promise<string[]>} Problems (empty when the manifest and its files are all there)
+ */
+async function checkAssets(outputDir, version) {
+    let manifest;
+    try {
+        manifest = JSON.parse(await readFile(path.join(outputDir, 'manifest.json'), 'utf8'));
+    } catch {
+        return [`no manifest in ${path.relative(ROOT, outputDir)}`];
+    }
+    if (manifest.version !== version) {
+        return [`manifest is for v${manifest.version}, installed package is v${version}`];
+    }
+
+    const files = [
+        ...manifest.wasm.map((file) => path.join('wasm', file)),
+        ...manifest.models.map((file) => path.join('models', file))
+    ];
+    const problems = [];
+    for (const file of files) {
+        if (!await exists(path.join(outputDir, file))) {
+            problems.push(`missing ${file}`);
+        }
+    }
+    return problems;
+}
+
+async function main() {
+    const { dir, version } = await findPackage();
+    const outputDir = path.join(OUTPUT_BASE, version);
+
+    if (process.argv.includes('--check')) {
+        const problems = await checkAssets(outputDir, version);
+        if (problems.length > 0) {
+            console.warn(`[mediapipe:assets] Assets for v${version} are not ready (${problems.join('; ')}).`);
+            console.warn('[mediapipe:assets] Run `npm run mediapipe:assets` before using the real detectors.');
+        }
+        return;
+    }
+
+    const wasm = await copyWasm(dir, outputDir);
+    const models = await downloadModels(outputDir);
+
+    await writeFile(
+        path.join(outputDir, 'manifest.json'),
+        JSON.stringify({ version, wasm, models }, null, 2) + '\n'
+    );
+
+    console.log(`[mediapipe:assets] Assets for v${version} ready in ${path.relative(ROOT, outputDir)}`);
+}
+
+main().catch((error) => {
+    console.error('[mediapipe:assets]', error.message);
+    console.error('[mediapipe:assets] Place the files manually under public/mediapipe/<version>/ or set NEXT_PUBLIC_MEDIAPIPE_ASSET_BASE.');
+    process.exit(1);
+});
@@ -0,0 +1,100 @@
+/**
+ * flagTimeline.test.mjs - scripts/flag-timeline.mjs against session log exports
+ *
+ * Builds a live-style session (samples, flag transitions, an environment
+ * change) with the same building blocks as useProctoring, exports it, and
+ * replays the export against its own transitions.
+ */
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { after, before, test } from 'node:test';
+import { createFlagTracker, processAnalysis, updateEnvironment } from '../lib/flagManager.js';
+import { createSessionLog } from '../lib/sessionLog.js';
+
+const CLI = fileURLToPath(new URL('../scripts/flag-timeline.mjs', import.meta.url));
+const CENTERED = { x: 0.35, y: 0.3, width: 0.3, height: 0.4 };
+const CLIPPED = { x: 0, y: 0.3, width: 0.3, height: 0.4 }; // Touches the left edge: FACE_PARTIAL
+
+let dir;
+
+/**
+ * Run the CLI; resolves with { code, stdout, stderr } whatever the exit code
+ */
+async function runCli(...args) {
+    try {
+        const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args]);
+        return { code: 0, stdout, stderr };
+    } catch (error) {
+        return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+}
+
+/**
+ * Record a session the way the page does: every sample, every transition
+ */
+function recordSession() {
+    const log = createSessionLog();
+    const tracker = createFlagTracker();
+    let recorded = 0;
+
+    function apply(update) {
+        const { history } = tracker.apply(update);
+        history.slice(recorded).forEach((entry) => log.recordTransition(entry));
+        recorded = history.length;
+    }
+
+    for (let i = 0; i < 20; i++) {
+        const box = i >= 6 && i < 12 ? CLIPPED : CENTERED;
+        const analysis = { timestamp: 1000 + i * 500, faceCount: 1, faces: [{ box }], brightness: 120, processingTime: 5 };
+        log.recordSample(analysis);
+        apply((state) => processAnalysis(state, analysis));
+        if (i === 3) apply((state) => updateEnvironment(state, { tabHidden: true }, 2700));
+        if (i === 8) apply((state) => updateEnvironment(state, { tabHidden: false }, 5200));
+    }
+    return log.toJSON();
+}
+
+before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'flag-timeline-'));
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('a session export with a framing flag matches its own transitions', async () => {
+    const session = recordSession();
+    assert.ok(session.transitions.some((entry) => entry.flags.includes('FACE_PARTIAL')));
+    const file = path.join(dir, 'session.json');
+    await writeFile(file, JSON.stringify(session));
+
+    const timeline = await runCli(file, '--json');
+    assert.equal(timeline.code, 0, timeline.stderr);
+    assert.ok(JSON.parse(timeline.stdout).some((entry) => entry.flags.includes('FACE_PARTIAL')));
+
+    const diff = await runCli(file, '--expect', file);
+    assert.equal(diff.code, 0, diff.stdout);
+    assert.match(diff.stdout, /Timeline matches/);
+});
+
+test('an export without face boxes leaves framing flags out of both sides', async () => {
+    const session = recordSession();
+    for (const sample of session.samples) {
+        delete sample.faceX;
+        delete sample.faceY;
+        delete sample.faceWidth;
+        delete sample.faceHeight;
+    }
+    const file = path.join(dir, 'old-session.json');
+    await writeFile(file, JSON.stringify(session));
+
+    const diff = await runCli(file, '--expect', file);
+    assert.equal(diff.code, 0, diff.stdout);
+    assert.match(diff.stderr, /No face boxes/);
+});
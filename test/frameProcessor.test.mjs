@@ -0,0 +1,47 @@
+/**
+ * frameProcessor.test.mjs - lib/frameProcessor.js sampling lifecycle
+ *
+ * Runs the processor on real timers against the fake detector and video
+ * source, with a sampler budget the fake detector's latency overruns.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createFrameProcessor } from '../lib/frameProcessor.js';
+import { createFakeBackend, createFakeVideoSource } from '../lib/detectors/fakeBackend.js';
+
+const SAMPLER = { intervalMs: 20, maxProcessingMs: 5, maxConsecutiveOverruns: 2 };
+
+test('start() after a degraded run samples at full quality again', async () => {
+    const changes = [];
+    let degraded;
+    const firstDegradation = new Promise((resolve) => {
+        degraded = resolve;
+    });
+
+    const processor = createFrameProcessor({
+        ...createFakeVideoSource(),
+        detector: createFakeBackend({ latencyMs: 15 }),
+        sampler: SAMPLER,
+        onDegradationChange: (change) => {
+            changes.push(change);
+            degraded();
+        }
+    });
+
+    try {
+        processor.start();
+        await firstDegradation;
+        processor.stop();
+        assert.equal(processor.getStatus().degradationLevel, 1);
+
+        processor.start();
+        const status = processor.getStatus();
+        assert.equal(status.degradationLevel, 0);
+        assert.equal(status.degradation, 'full');
+        assert.equal(status.intervalMs, SAMPLER.intervalMs);
+    } finally {
+        await processor.cleanup();
+    }
+    assert.deepEqual(changes.map((change) => change.level), [1]);
+});
@@ -0,0 +1,21 @@
+/**
+ * policy.test.mjs - lib/policy.js presets and validation
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { POLICY_PRESETS, resolvePolicy, validatePolicy } from '../lib/policy.js';
+
+test('every preset is a valid policy', () => {
+    for (const [name, preset] of Object.entries(POLICY_PRESETS)) {
+        assert.deepEqual(validatePolicy(preset).errors, [], name);
+    }
+});
+
+test('an unknown detector model is rejected', () => {
+    const { policy, errors } = resolvePolicy('standard', { detector: { model: 'long-range' } });
+    assert.deepEqual(errors, ['detector.model must be one of short-range, full-range']);
+    assert.equal(policy, POLICY_PRESETS.standard);
+
+    assert.equal(resolvePolicy('strict', { detector: { model: 'full-range' } }).policy.detector.model, 'full-range');
+});
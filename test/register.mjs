@@ -0,0 +1,10 @@
+/**
+ * register.mjs - Module resolution for tests (node --import ./test/register.mjs)
+ *
+ * Lets Node load app modules the way Next resolves them: the `@/` alias from
+ * jsconfig.json and extensionless relative imports (see resolve.mjs).
+ */
+
+import { register } from 'node:module';
+
+register('./resolve.mjs', import.meta.url);
@@ -0,0 +1,28 @@
+/**
+ * resolve.mjs - Resolve hook mapping Next-style specifiers to files
+ *
+ * - '@/lib/x' -> <root>/lib/x.js (jsconfig.json paths)
+ * - './x' from a project file -> './x.js' when it has no extension
+ * Packages and specifiers with an extension resolve as usual.
+ */
+
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ROOT_URL = pathToFileURL(`${ROOT}/`).href;
+
+function withExtension(specifier) {
+    return path.extname(specifier) ? specifier : `${specifier}.js`;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('@/')) {
+        return nextResolve(new URL(withExtension(specifier.slice(2)), ROOT_URL).href, context);
+    }
+    const fromProject = context.parentURL?.startsWith(ROOT_URL) && !context.parentURL.includes('/node_modules/');
+    if (fromProject && (specifier.startsWith('./') || specifier.startsWith('../'))) {
+        return nextResolve(withExtension(specifier), context);
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,115 @@
+/**
+ * sessionsApi.test.mjs - /api/sessions and /api/sessions/[id] routes
+ *
+ * Runs the route handlers against a temporary store with SESSION_API_TOKEN set.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+const TOKEN = 'test-token';
+let storeDir;
+let listHandler;
+let sessionHandler;
+
+/**
+ * Minimal Next.js API response recording status, headers and JSON body
+ */
+function createResponse() {
+    return {
+        statusCode: null,
+        headers: {},
+        body: null,
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function call(handler, { method = 'GET', query = {}, body, token } = {}) {
+    const res = createResponse();
+    const headers = token ? { authorization: `Bearer ${token}` } : {};
+    await handler({ method, query, body, headers }, res);
+    return res;
+}
+
+function createReport(sessionId) {
+    return {
+        metadata: { sessionId, startTime: 1000, endTime: 2000 },
+        samples: [],
+        transitions: [{ timestamp: 1000, flags: ['FACE_OK'], details: {} }],
+        events: []
+    };
+}
+
+before(async () => {
+    storeDir = await mkdtemp(path.join(tmpdir(), 'sessions-'));
+    process.env.SESSION_STORE_DIR = storeDir;
+    process.env.SESSION_API_TOKEN = TOKEN;
+    listHandler = (await import('../pages/api/sessions/index.js')).default;
+    sessionHandler = (await import('../pages/api/sessions/[id].js')).default;
+});
+
+after(async () => {
+    await rm(storeDir, { recursive: true, force: true });
+});
+
+describe('authentication', () => {
+    test('unauthenticated list returns 401', async () => {
+        const res = await call(listHandler);
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+    });
+
+    test('unauthenticated report fetch returns 401', async () => {
+        const res = await call(sessionHandler, { query: { id: 'anything' } });
+        assert.equal(res.statusCode, 401);
+    });
+
+    test('wrong token returns 401', async () => {
+        const res = await call(listHandler, { token: 'wrong' });
+        assert.equal(res.statusCode, 401);
+    });
+
+    test('unauthenticated upload returns 401', async () => {
+        const res = await call(listHandler, { method: 'POST', body: createReport('anonymous') });
+        assert.equal(res.statusCode, 401);
+    });
+});
+
+describe('with the token', () => {
+    test('upload, list and fetch a session', async () => {
+        const created = await call(listHandler, { method: 'POST', body: createReport('session-1'), token: TOKEN });
+        assert.equal(created.statusCode, 201, JSON.stringify(created.body));
+
+        const listed = await call(listHandler, { token: TOKEN });
+        assert.equal(listed.statusCode, 200);
+        assert.deepEqual(listed.body.sessions.map((session) => session.id), ['session-1']);
+
+        const fetched = await call(sessionHandler, { query: { id: 'session-1' }, token: TOKEN });
+        assert.equal(fetched.statusCode, 200);
+        assert.equal(fetched.body.session.metadata.sessionId, 'session-1');
+    });
+
+    test('re-uploading a session id returns 409', async () => {
+        await call(listHandler, { method: 'POST', body: createReport('session-2'), token: TOKEN });
+        const res = await call(listHandler, { method: 'POST', body: createReport('session-2'), token: TOKEN });
+        assert.equal(res.statusCode, 409);
+    });
+
+    test('a repeated flag filter returns 400', async () => {
+        const res = await call(listHandler, { query: { flag: ['FACE_OK', 'LOW_LIGHT'] }, token: TOKEN });
+        assert.equal(res.statusCode, 400);
+    });
+});